@@ -0,0 +1,61 @@
+/*                                 ISC License
+ *
+ * Copyright (c) 2016-2020, Erayd LTD
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+ * REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ * FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT, INDIRECT,
+ * OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS OF USE,
+ * DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS
+ * ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+"use strict";
+const fs = require("fs");
+
+// serialize an entry, which must fit on a single line so that the journal can be replayed
+function line(serializer, entry) {
+    let data = serializer.serialize(entry);
+    if (typeof data !== "string" || data.includes("\n")) {
+        throw new Error("Journal entries must serialize to a single line of text");
+    }
+    return data + "\n";
+}
+
+// open a journal file, and return the entries already in it along with a writer for new ones
+module.exports.open = function(path, serializer) {
+    var entries = [];
+    if (fs.existsSync(path)) {
+        let lines = fs.readFileSync(path, "utf8").split("\n");
+        lines.pop(); // either empty, or an entry which was never finished
+        entries = lines.map(line => serializer.deserialize(line));
+    }
+    var fd = fs.openSync(path, "a");
+
+    return {
+        entries,
+
+        // append an entry to the journal
+        append(entry) {
+            fs.writeSync(fd, line(serializer, entry));
+        },
+
+        // replace the whole journal with a snapshot of the queue
+        compact(state) {
+            let temp = `${path}.tmp`;
+            fs.writeFileSync(temp, line(serializer, ["snapshot", state]));
+            fs.closeSync(fd);
+            fs.renameSync(temp, path);
+            fd = fs.openSync(path, "a");
+        },
+
+        // stop writing to the journal
+        close() {
+            fs.closeSync(fd);
+        }
+    };
+};
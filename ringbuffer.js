@@ -18,11 +18,12 @@
 const events = require("events");
 
 module.exports = class Ringbuffer extends events.EventEmitter {
-    constructor(size) {
+    constructor(size, type = Array) {
         super();
         var head = 0;
         var items = 0;
-        var buffer = new Array(size);
+        var buffer = new type(size);
+        var typed = type !== Array; // typed arrays can't hold references, so never need clearing
 
         // basic properties
         Object.defineProperties(this, {
@@ -35,13 +36,28 @@ module.exports = class Ringbuffer extends events.EventEmitter {
             // get the current number of free slots in the buffer
             free: { get: () => size - items, enumerable: true },
 
+            // get the type of array used for storage
+            type: { value: type, writable: false, enumerable: true },
+
             // methods
             push: { value: push, writable: false },
             unshift: { value: unshift, writable: false },
             pop: { value: pop, writable: false },
             shift: { value: shift, writable: false },
             peek: { value: peek, writable: false },
-            peekStart: { value: peekStart, writable: false }
+            peekStart: { value: peekStart, writable: false },
+            get: { value: get, writable: false },
+            set: { value: set, writable: false },
+            insert: { value: insert, writable: false },
+            remove: { value: remove, writable: false },
+            pushMany: { value: pushMany, writable: false },
+            peekInto: { value: peekInto, writable: false },
+            shiftInto: { value: shiftInto, writable: false },
+            clear: { value: clear, writable: false },
+
+            // iterators
+            [Symbol.iterator]: { value: values, writable: false },
+            reversed: { value: reversed, writable: false }
         });
 
         // push item onto the end of the buffer
@@ -73,7 +89,7 @@ module.exports = class Ringbuffer extends events.EventEmitter {
 
             var pos = (head + --items) % size;
             var value = buffer[pos];
-            buffer[pos] = undefined;
+            if (!typed) buffer[pos] = undefined;
 
             if (!items) this.emit("empty", this);
             if (items < size) this.emit("free", this);
@@ -85,7 +101,7 @@ module.exports = class Ringbuffer extends events.EventEmitter {
             if (!items) throw new Error("No items in buffer");
 
             var value = buffer[head];
-            buffer[head] = undefined;
+            if (!typed) buffer[head] = undefined;
             if (++head == size) head = 0;
             items--;
 
@@ -107,5 +123,136 @@ module.exports = class Ringbuffer extends events.EventEmitter {
 
             return buffer[head];
         }
+
+        // get the item at the given position
+        function get(index) {
+            if (!(index >= 0 && index < items)) throw new Error("Index out of range");
+
+            return buffer[(head + index) % size];
+        }
+
+        // replace the item at the given position
+        function set(index, value) {
+            if (!(index >= 0 && index < items)) throw new Error("Index out of range");
+
+            buffer[(head + index) % size] = value;
+        }
+
+        // insert an item at the given position, moving whichever side is shorter
+        function insert(index, value) {
+            if (items === size) throw new Error("Buffer is full");
+            if (!(index >= 0 && index <= items)) throw new Error("Index out of range");
+
+            if (index < items / 2) {
+                head = head ? head - 1 : size - 1;
+                for (let i = 0; i < index; i++) {
+                    buffer[(head + i) % size] = buffer[(head + i + 1) % size];
+                }
+            } else {
+                for (let i = items; i > index; i--) {
+                    buffer[(head + i) % size] = buffer[(head + i - 1) % size];
+                }
+            }
+            buffer[(head + index) % size] = value;
+            items++;
+
+            if (items === 1) this.emit("data", this);
+            if (items === size) this.emit("full", this);
+        }
+
+        // remove the item at the given position, moving whichever side is shorter
+        function remove(index) {
+            if (!(index >= 0 && index < items)) throw new Error("Index out of range");
+
+            var value = buffer[(head + index) % size];
+            if (index < items / 2) {
+                for (let i = index; i > 0; i--) {
+                    buffer[(head + i) % size] = buffer[(head + i - 1) % size];
+                }
+                if (!typed) buffer[head] = undefined;
+                if (++head == size) head = 0;
+            } else {
+                for (let i = index; i < items - 1; i++) {
+                    buffer[(head + i) % size] = buffer[(head + i + 1) % size];
+                }
+                if (!typed) buffer[(head + items - 1) % size] = undefined;
+            }
+            items--;
+
+            if (!items) this.emit("empty", this);
+            if (items < size) this.emit("free", this);
+            return value;
+        }
+
+        // copy part of one array into another, using set() & subarray() where possible
+        function copy(from, start, end, to, offset) {
+            if (typeof to.set === "function" && ArrayBuffer.isView(from)) {
+                to.set(from.subarray(start, end), offset);
+            } else {
+                for (let i = start; i < end; i++) to[offset++] = from[i];
+            }
+        }
+
+        // push as many items from an array as will fit onto the end of the buffer
+        function pushMany(source, start = 0, end = source.length) {
+            var count = Math.min(end - start, size - items);
+            var pos = (head + items) % size;
+            var first = Math.min(count, size - pos);
+
+            copy(source, start, start + first, buffer, pos);
+            copy(source, start + first, start + count, buffer, 0);
+            items += count;
+
+            if (count && items === count) this.emit("data", this);
+            if (count && items === size) this.emit("full", this);
+            return count;
+        }
+
+        // copy as many items as are available from the start of the buffer into an array
+        function peekInto(target, offset = 0, count = target.length - offset) {
+            count = Math.min(count, items);
+            var first = Math.min(count, size - head);
+
+            copy(buffer, head, head + first, target, offset);
+            copy(buffer, 0, count - first, target, offset + first);
+            return count;
+        }
+
+        // shift as many items as are available off the start of the buffer into an array
+        function shiftInto(target, offset = 0, count = target.length - offset) {
+            count = peekInto(target, offset, count);
+            var first = Math.min(count, size - head);
+
+            if (!typed) {
+                buffer.fill(undefined, head, head + first);
+                buffer.fill(undefined, 0, count - first);
+            }
+            head = (head + count) % size;
+            items -= count;
+
+            if (count && !items) this.emit("empty", this);
+            if (count) this.emit("free", this);
+            return count;
+        }
+
+        // remove all items from the buffer
+        function clear() {
+            var count = items;
+            if (!typed) buffer.fill(undefined);
+            head = items = 0;
+
+            if (count) this.emit("empty", this);
+            if (count) this.emit("free", this);
+        }
+
+        // iterate over the items from start to end, without removing them
+        function* values() {
+            for (let i = 0; i < items; i++) yield buffer[(head + i) % size];
+        }
+
+        // iterate over the items from end to start, without removing them
+        function* reversed() {
+            for (let i = items - 1; i >= 0; i--) yield buffer[(head + i) % size];
+        }
     }
 };
@@ -0,0 +1,274 @@
+/*                                 ISC License
+ *
+ * Copyright (c) 2016-2020, Erayd LTD
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+ * REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ * FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT, INDIRECT,
+ * OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS OF USE,
+ * DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS
+ * ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+"use strict";
+
+// header fields, which are stored as Int32 values at the start of the buffer
+const LOCK = 0;
+const HEAD = 1; // byte offset of the first record
+const USED = 2; // number of bytes in use
+const COUNT = 3; // number of records
+const CLOSED = 4;
+const RECORD_SIZE = 5; // zero if records are length-prefixed
+const CAPACITY = 6; // number of bytes available for records
+const SEQUENCE = 7; // changes whenever the queue does, so that waiting threads wake up
+const HEADER_SIZE = 8 * Int32Array.BYTES_PER_ELEMENT;
+const TAG_SIZE = 4; // length-prefixed records have their length at both ends
+const DONE = {};
+const WAIT = {};
+
+module.exports = class SharedSpique {
+    constructor(size = 65536, options = {}) {
+        var buffer = size;
+        if (!(buffer instanceof SharedArrayBuffer)) {
+            let recordSize = options.recordSize || 0;
+            if (!(Number.isInteger(size) && size > 0)) throw new Error("Invalid size");
+            if (!(Number.isInteger(recordSize) && recordSize >= 0)) {
+                throw new Error("Invalid record size");
+            }
+            buffer = new SharedArrayBuffer(HEADER_SIZE + size);
+            let init = new Int32Array(buffer, 0, HEADER_SIZE / Int32Array.BYTES_PER_ELEMENT);
+            init[RECORD_SIZE] = recordSize;
+            init[CAPACITY] = size;
+        }
+
+        var header = new Int32Array(buffer, 0, HEADER_SIZE / Int32Array.BYTES_PER_ELEMENT);
+        var data = new Uint8Array(buffer, HEADER_SIZE);
+        var recordSize = header[RECORD_SIZE];
+        var capacity = header[CAPACITY];
+        var tag = new DataView(new ArrayBuffer(TAG_SIZE));
+
+        // basic properties
+        Object.defineProperties(this, {
+            // get the shared buffer, which can be passed to other threads
+            buffer: { value: buffer, writable: false, enumerable: true },
+
+            // get the number of bytes available for records
+            size: { value: capacity, writable: false, enumerable: true },
+
+            // get the size of each record, or zero if records are length-prefixed
+            recordSize: { value: recordSize, writable: false, enumerable: true },
+
+            // get the current number of records in the queue
+            length: { get: () => Atomics.load(header, COUNT), enumerable: true },
+
+            // get the current number of free bytes in the queue
+            free: { get: () => capacity - Atomics.load(header, USED), enumerable: true },
+
+            // get the current closed status of the queue
+            closed: {
+                get: () => !!Atomics.load(header, CLOSED) && !Atomics.load(header, COUNT),
+                enumerable: true
+            },
+
+            // methods
+            enqueue: { value: record => add(record, true), writable: false },
+            enqueueHead: { value: record => add(record, false), writable: false },
+            dequeue: { value: () => remove(true, false), writable: false },
+            dequeueTail: { value: () => remove(false, false), writable: false },
+            peek: { value: () => remove(true, true), writable: false },
+            peekTail: { value: () => remove(false, true), writable: false },
+            close: { value: close, writable: false },
+            take: { value: take, writable: false },
+            takeSync: { value: takeSync, writable: false },
+
+            // iterator
+            [Symbol.iterator]: {
+                value: function*() {
+                    for (let next; (next = shift()) !== WAIT && next !== DONE; ) yield next;
+                },
+                writable: false
+            },
+
+            // async iterator
+            [Symbol.asyncIterator]: {
+                value: async function*() {
+                    for (let next; (next = await wait()) !== DONE; ) yield next;
+                },
+                writable: false
+            }
+        });
+
+        // get exclusive access to the queue, waiting for other threads if necessary
+        function lock() {
+            while (Atomics.compareExchange(header, LOCK, 0, 1) !== 0) Atomics.wait(header, LOCK, 1);
+        }
+
+        // give up exclusive access to the queue
+        function unlock() {
+            Atomics.store(header, LOCK, 0);
+            Atomics.notify(header, LOCK, 1);
+        }
+
+        // wake any threads which are waiting for the queue to change
+        function changed() {
+            Atomics.add(header, SEQUENCE, 1);
+            Atomics.notify(header, SEQUENCE);
+        }
+
+        // get the bytes of a record
+        function bytes(record) {
+            if (record instanceof ArrayBuffer || record instanceof SharedArrayBuffer) {
+                return new Uint8Array(record);
+            }
+            if (ArrayBuffer.isView(record)) {
+                return new Uint8Array(record.buffer, record.byteOffset, record.byteLength);
+            }
+            throw new Error("Invalid record");
+        }
+
+        // copy bytes into the ring, wrapping around the end if necessary
+        function write(offset, source) {
+            offset %= capacity;
+            let first = Math.min(source.length, capacity - offset);
+            data.set(source.subarray(0, first), offset);
+            data.set(source.subarray(first), 0);
+        }
+
+        // copy bytes out of the ring, wrapping around the end if necessary
+        function read(offset, length) {
+            offset %= capacity;
+            let result = new Uint8Array(length);
+            let first = Math.min(length, capacity - offset);
+            result.set(data.subarray(offset, offset + first));
+            result.set(data.subarray(0, length - first), first);
+            return result;
+        }
+
+        // write the length of a record
+        function writeTag(offset, length) {
+            tag.setUint32(0, length);
+            write(offset, new Uint8Array(tag.buffer));
+        }
+
+        // read the length of a record
+        function readTag(offset) {
+            return new DataView(read(offset, TAG_SIZE).buffer).getUint32(0);
+        }
+
+        // add a record to either end of the queue
+        function add(record, forward) {
+            let source = bytes(record);
+            if (recordSize && source.length !== recordSize) throw new Error("Invalid record size");
+            let length = recordSize || source.length + TAG_SIZE * 2;
+
+            lock();
+            try {
+                if (header[CLOSED] && !header[COUNT]) throw new Error("Queue is closed");
+                if (length > capacity - header[USED]) throw new Error("Queue is full");
+
+                let head = header[HEAD];
+                let offset = forward ? head + header[USED] : head - length + capacity;
+                if (recordSize) write(offset, source);
+                else {
+                    writeTag(offset, source.length);
+                    write(offset + TAG_SIZE, source);
+                    writeTag(offset + TAG_SIZE + source.length, source.length);
+                }
+                if (!forward) header[HEAD] = offset % capacity;
+                header[USED] += length;
+                header[COUNT]++;
+            } finally {
+                unlock();
+            }
+            changed();
+        }
+
+        // read a record from either end of the queue, and remove it unless peeking
+        function remove(forward, peeking) {
+            let next = extract(forward, peeking);
+            if (next === WAIT || next === DONE) throw new Error("Queue is empty");
+            return next;
+        }
+
+        // read a record from either end of the queue if there is one, or return whether
+        // the queue is closed
+        function extract(forward, peeking) {
+            let result;
+            lock();
+            try {
+                if (!header[COUNT]) return header[CLOSED] ? DONE : WAIT;
+
+                let head = header[HEAD];
+                let end = head + header[USED];
+                let count = recordSize || readTag(forward ? head : end - TAG_SIZE);
+                let length = recordSize || count + TAG_SIZE * 2;
+                let offset = forward ? head : end - length;
+                result = read(recordSize ? offset : offset + TAG_SIZE, count);
+                if (peeking) return result;
+
+                header[USED] -= length;
+                header[COUNT]--;
+                if (!header[USED]) header[HEAD] = 0;
+                else if (forward) header[HEAD] = (head + length) % capacity;
+            } finally {
+                unlock();
+            }
+            changed();
+            return result;
+        }
+
+        // remove the record at the head of the queue if there is one, or return whether
+        // the queue is closed
+        function shift() {
+            return extract(true, false);
+        }
+
+        // close the queue
+        function close() {
+            lock();
+            header[CLOSED] = 1;
+            unlock();
+            changed();
+        }
+
+        // wait for the next record, or until the queue is closed
+        async function wait() {
+            for (;;) {
+                let sequence = Atomics.load(header, SEQUENCE);
+                let next = shift();
+                if (next !== WAIT) return next;
+                if (typeof Atomics.waitAsync === "function") {
+                    let result = Atomics.waitAsync(header, SEQUENCE, sequence);
+                    if (result.async) await result.value;
+                } else await new Promise(resolve => setTimeout(resolve, 1)); // poll instead
+            }
+        }
+
+        // remove a record from the head of the queue once one is available
+        async function take() {
+            let next = await wait();
+            if (next === DONE) throw new Error("Queue is closed");
+            return next;
+        }
+
+        // remove a record from the head of the queue, blocking the current thread until
+        // one is available or the timeout expires
+        function takeSync(timeout = Infinity) {
+            let deadline = Date.now() + timeout;
+            for (;;) {
+                let sequence = Atomics.load(header, SEQUENCE);
+                let next = shift();
+                if (next === DONE) throw new Error("Queue is closed");
+                if (next !== WAIT) return next;
+
+                let remaining = deadline - Date.now();
+                if (remaining <= 0) throw new Error("Timed out");
+                Atomics.wait(header, SEQUENCE, sequence, remaining);
+            }
+        }
+    }
+};
@@ -18,38 +18,229 @@
 const EventEmitter = require("events").EventEmitter;
 const RingBuffer = require("./ringbuffer.js");
 const GeneratorFunction = Object.getPrototypeOf(function*() {});
+const AsyncFunction = Object.getPrototypeOf(async function() {});
+const AsyncGeneratorFunction = Object.getPrototypeOf(async function*() {});
+const TypedArray = Object.getPrototypeOf(Int8Array);
+const DONE = { value: undefined, done: true };
+const WAIT = { value: undefined, done: false }; // sources return this when they have nothing yet
+const JSON_SERIALIZER = { serialize: JSON.stringify, deserialize: JSON.parse };
+const CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: timer => clearTimeout(timer)
+};
+const DEFAULTS = Object.freeze({ source: false, transform: true }); // plain enqueue() settings
+const RESTORE = Symbol("restore"); // used by Spique.restore() to pass a snapshot to the constructor
+const ADMIT = Symbol("admit"); // used by chained queues to check the rate limit before dequeuing
+const LATENCY_BUCKETS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 30000, 60000];
+const streams = () => require("./streams.js"); // only load stream support on demand
+const journals = () => require("./journal.js"); // only load journal support on demand
+
+// a stored item which expires at a given time, which is being retried by process(), or
+// whose latency is being measured
+class Envelope {
+    constructor(value, expires = Infinity, attempts = 0, added = undefined) {
+        this.value = value;
+        this.expires = expires;
+        this.attempts = attempts;
+        this.added = added;
+    }
+}
+
+// get the original value of a stored item
+const unwrap = value => (value instanceof Envelope ? value.value : value);
+
+// get an iterator for any kind of source, preferring the async one
+function iterate(source) {
+    if (Symbol.asyncIterator in source) return source[Symbol.asyncIterator]();
+    if (Symbol.iterator in source) return source[Symbol.iterator]();
+    return source;
+}
+
+// split the arguments to a combinator into its sources & any trailing options
+function combinatorArgs(args) {
+    let last = args[args.length - 1];
+    if (
+        last &&
+        Object.getPrototypeOf(last) === Object.prototype &&
+        typeof last.next !== "function" &&
+        !(Symbol.iterator in last || Symbol.asyncIterator in last)
+    ) {
+        return [args.slice(0, -1), last];
+    }
+    return [args, {}];
+}
+
+// create a queue for a combinator, which closes once all of its sources have finished
+function combined(Queue, options) {
+    let settings = Object.assign({}, options, { autoClose: true });
+    return new Queue(options.size || 0, options.ringSize || 1024, settings);
+}
+
+// feed a queue from a generator which reads from several sources at once
+function generate(queue, sources, generator) {
+    let iterators = sources.map(iterate);
+    sources.forEach(source => {
+        if (source instanceof queue.constructor) source.on("abort", reason => queue.abort(reason));
+    });
+    queue.enqueue(
+        (async function*() {
+            try {
+                yield* generator(iterators);
+            } finally {
+                iterators.forEach(iterator => iterator.return && iterator.return());
+            }
+        })(),
+        true
+    );
+    return queue;
+}
 
 module.exports = class Spique extends EventEmitter {
-    constructor(size = 0, ringSize = 1024) {
+    constructor(size = 0, ringSize = 1024, options = {}) {
         super();
 
-        var headRing = new RingBuffer(ringSize);
-        var tailRing = headRing;
-        var rings = 1;
+        var overflow = options.overflow || "error";
+        var deadLetter = options.deadLetter;
+        var autoClose = !!options.autoClose;
+        if (typeof overflow !== "function" && !["error", "evict", "discard"].includes(overflow)) {
+            throw new Error("Invalid overflow policy");
+        }
+
+        var highWaterMark = options.highWaterMark;
+        var lowWaterMark =
+            options.lowWaterMark === undefined
+                ? Math.floor(highWaterMark / 2)
+                : options.lowWaterMark;
+        if (
+            (highWaterMark !== undefined || options.lowWaterMark !== undefined) &&
+            !(highWaterMark > 0 && lowWaterMark >= 0 && lowWaterMark < highWaterMark)
+        ) {
+            throw new Error("Invalid watermarks");
+        }
+        var high = false; // whether the queue has reached the high watermark, and not yet the low
+
+        var keyOf = options.key;
+        var duplicates = options.duplicates || "replace";
+        if (keyOf !== undefined && typeof keyOf !== "function") {
+            throw new Error("Invalid key function");
+        }
+        if (!["ignore", "replace", "move"].includes(duplicates)) {
+            throw new Error("Invalid duplicate policy");
+        }
+        var keyed = new Map(); // stored items by key, and how many items share each key
+
+        var priorities = options.priorities === undefined ? 1 : options.priorities;
+        if (!(Number.isInteger(priorities) && priorities > 0)) {
+            throw new Error("Invalid number of priority levels");
+        }
+
+        var ringType = options.ringType || Array;
+        if (ringType !== Array && Object.getPrototypeOf(ringType) !== TypedArray) {
+            throw new Error("Invalid ring type");
+        }
+
+        var spareRings = options.spareRings === undefined ? 1 : options.spareRings;
+        var maxSpareRings =
+            options.maxSpareRings === undefined ? spareRings * 2 : options.maxSpareRings;
+        if (!(spareRings >= 0 && maxSpareRings >= spareRings)) {
+            throw new Error("Invalid number of spare rings");
+        }
+        var pool = [];
+
+        var serializer = options.serializer || JSON_SERIALIZER;
+        var compactEvery = options.compactEvery === undefined ? 1000 : options.compactEvery;
+        var journal; // log of every change to the stored items
+        var logged = 0;
+
+        var clock = Object.assign({}, CLOCK, options.clock);
+        var nextExpiry = Infinity; // the earliest time at which a stored item expires
+        var expiryTimer;
+        var timers = new Set(); // delayed items which have not yet been added
+        var outstanding = 0; // items which have been handed out, but not yet finished with
+        var reservations = new Map(); // reserved items, by receipt
+        var lastReceipt = 0;
+        var visibilityTimeout = options.visibilityTimeout;
+        var windowing; // collects values into arrays before they are stored
+        var metrics; // running totals for stats(), if they are enabled
+        var metricsTimer;
+        if (options.stats || options.metricsInterval) {
+            let buckets = options.latencyBuckets || LATENCY_BUCKETS;
+            metrics = {
+                enqueued: { head: 0, tail: 0 },
+                dequeued: { head: 0, tail: 0 },
+                dropped: 0,
+                rejected: 0,
+                peakLength: 0,
+                peakRings: priorities,
+                fullTime: 0,
+                fullSince: undefined,
+                latency: {
+                    buckets,
+                    counts: buckets.map(() => 0).concat(0),
+                    count: 0,
+                    sum: 0,
+                    max: 0
+                }
+            };
+        }
+        var limiter; // token bucket which limits how quickly items are released
+
+        var levels = [];
+        for (let i = 0; i < priorities; i++) levels.push(chain());
+        var rings = priorities;
         var items = 0;
+        var version = 0; // changes whenever the stored items do, so iterators can detect it
         var closed = false;
+        var paused = false;
+        var aborted = false;
+        var abortReason;
         var transforms = [];
+        var asyncTransforms = false;
+        var jobs = [];
+        var sources = new Set();
+        var pending = 0;
+        var flushing = false;
+        var takers = [];
 
         // basic properties
         Object.defineProperties(this, {
             // get the size of the queue
-            size: { value: size, writable: false, enumerable: true },
+            size: { get: () => size, enumerable: true },
 
             // get the current number of items in the queue
-            length: { get: () => items, enumerable: true },
+            length: { get: () => items + reservations.size, enumerable: true },
+
+            // get the number of items which are available to dequeue
+            available: { get: () => items, enumerable: true },
 
             // get the current number of free slots in the queue
             free: {
-                get: () => (size ? size - items : Number.MAX_SAFE_INTEGER - items),
+                get: () => Math.max((size ? size : Number.MAX_SAFE_INTEGER) - items - pending, 0),
                 enumerable: true
             },
 
             // get the current closed status of the queue
-            closed: { get: () => closed && !items, enumerable: true },
+            closed: {
+                get: () => closed && !items && !jobs.length && !timers.size && !outstanding,
+                enumerable: true
+            },
+
+            // get whether the queue has been paused
+            paused: { get: () => paused, enumerable: true },
+
+            // get whether the queue has been aborted
+            aborted: { get: () => aborted, enumerable: true },
 
             // get the ring size
             ringSize: { value: ringSize, writable: false, enumerable: true },
 
+            // get the type of array used to store items
+            ringType: { value: ringType, writable: false, enumerable: true },
+
+            // get the number of priority levels
+            priorities: { value: priorities, writable: false, enumerable: true },
+
             // methods
             enqueue: { value: enqueue, writable: false },
             enqueueHead: { value: enqueueHead, writable: false },
@@ -57,13 +248,67 @@ module.exports = class Spique extends EventEmitter {
             dequeueTail: { value: dequeueTail, writable: false },
             peek: { value: peek, writable: false },
             peekTail: { value: peekTail, writable: false },
-            transform: { value: t => transforms.push(t), writable: false },
+            at: { value: at, writable: false },
+            set: { value: set, writable: false },
+            insertAt: { value: insertAt, writable: false },
+            removeAt: { value: removeAt, writable: false },
+            splice: { value: splice, writable: false },
+            resize: { value: resize, writable: false },
+            memoryStats: { value: memoryStats, writable: false },
+            snapshot: { value: snapshot, writable: false },
+            pushMany: { value: pushMany, writable: false },
+            shiftInto: { value: shiftInto, writable: false },
+            enqueueMany: { value: enqueueMany, writable: false },
+            dequeueMany: { value: dequeueMany, writable: false },
+            drain: { value: drain, writable: false },
+            peekMany: { value: peekMany, writable: false },
+            values: { value: values, writable: false },
+            reversed: { value: reversed, writable: false },
+            entries: { value: entries, writable: false },
+            forEach: { value: forEach, writable: false },
+            find: { value: find, writable: false },
+            includes: { value: includes, writable: false },
+            toArray: { value: toArray, writable: false },
+            clear: { value: clear, writable: false },
+            has: { value: has, writable: false },
+            getByKey: { value: getByKey, writable: false },
+            deleteByKey: { value: deleteByKey, writable: false },
+            transform: { value: addTransform, writable: false },
+            batch: { value: batch, writable: false },
+            slidingWindow: { value: slidingWindow, writable: false },
+            groupBy: { value: groupBy, writable: false },
+            pause: { value: pauseQueue, writable: false },
+            resume: { value: resumeQueue, writable: false },
             close: { value: close, writable: false },
+            abort: { value: abort, writable: false },
+            take: { value: take, writable: false },
+            reserve: { value: reserve, writable: false },
+            ack: { value: ack, writable: false },
+            nack: { value: nack, writable: false },
+            process: { value: startWorker, writable: false },
+            tee: { value: tee, writable: false },
+            rateLimit: { value: rateLimit, writable: false },
+            stats: { value: stats, writable: false },
+            [ADMIT]: { value: admit, writable: false },
+
+            // streams
+            toReadable: { value: options => streams().readable(this, options), writable: false },
+            toWritable: { value: options => streams().writable(this, options), writable: false },
+            toDuplex: { value: options => streams().duplex(this, options), writable: false },
 
             // iterator
             [Symbol.iterator]: {
                 value: function*() {
-                    while (items) yield this.dequeue();
+                    for (expire.call(this); items; expire.call(this)) yield shift.call(this, true);
+                },
+                writable: false
+            },
+
+            // async iterator
+            [Symbol.asyncIterator]: {
+                value: async function*() {
+                    for (let next; !(next = await wait.call(this)).done; ) yield next.value;
+                    if (aborted) throw abortReason;
                 },
                 writable: false
             }
@@ -72,52 +317,233 @@ module.exports = class Spique extends EventEmitter {
         // call listener if event state is valid on attachment
         this.on("newListener", (ev, listener) => {
             if (
-                (ev === "data" && items) ||
+                (ev === "data" && items && !paused) ||
                 (ev === "empty" && !items) ||
                 (ev === "full" && !this.free) ||
                 (ev === "free" && this.free) ||
-                (ev === "close" && this.closed)
+                (ev === "close" && this.closed) ||
+                (ev === "high" && high) ||
+                (ev === "low" && highWaterMark !== undefined && !high)
             ) {
                 listener(this);
-            }
+            } else if (ev === "abort" && aborted) listener(abortReason, this);
         });
 
-        // attach chained source (iterator | generator | Spique)
-        async function attachSource(source, forward = true, applyTransforms = true) {
-            let insert = forward ? "enqueue" : "enqueueHead";
-            if (source instanceof Spique) {
-                source.on("data", s => {
-                    this[insert](s[Symbol.iterator](), true, applyTransforms);
-                });
-                source.on("close", () => this.close());
-                return;
-            } else if (Symbol.iterator in source) source = source[Symbol.iterator]();
-            if (Symbol.asyncIterator in source) {
-                for await (let next of source) {
-                    await new Promise(async resolve => {
-                        let feed = target => {
-                            if (target.free) {
-                                target[insert](next, false, applyTransforms);
-                                resolve();
-                            } else this.once("free", feed);
-                        };
-                        feed(this);
-                    });
+        // rebuild the queue from a snapshot and / or its journal
+        if (options[RESTORE]) replay.call(this, ["snapshot", options[RESTORE]]);
+        let j = options.journal && journals().open(options.journal, serializer);
+        if (j) {
+            j.entries.forEach(entry => {
+                try {
+                    replay.call(this, entry);
+                } catch (err) {
+                    // skip an entry which can't be applied, rather than leaving the queue
+                    // impossible to open
                 }
-            } else {
-                let feed = target => {
-                    let again = true;
-                    while (target.free) {
-                        let next = source.next();
-                        if (next.done) {
-                            again = false;
-                            break;
-                        } else target[insert](next.value, false, applyTransforms);
+            });
+        }
+
+        // anything which was reserved but never acked is delivered again
+        for (let receipt of [...reservations.keys()].reverse()) redeliver.call(this, receipt);
+        if (j) {
+            journal = j;
+            compact();
+            this.once("close", () => {
+                if (journal) journal.close();
+                journal = undefined;
+            });
+        }
+
+        // emit stats periodically until the queue is closed
+        if (options.metricsInterval) {
+            let report = () => {
+                metricsTimer = clock.setTimeout(() => {
+                    this.emit("metrics", stats.call(this), this);
+                    report();
+                }, options.metricsInterval);
+                if (metricsTimer && metricsTimer.unref) metricsTimer.unref();
+            };
+            report();
+            this.once("close", () => clock.clearTimeout(metricsTimer));
+        }
+
+        // attach chained source (iterator | generator | Spique | readable stream), and return
+        // a handle which can be used to control it
+        function attachSource(source, forward, opts) {
+            let item = Object.assign({}, opts, { source: false });
+            let listeners = [];
+            let held; // a value which has been read from the source, but not yet inserted
+            let running = false;
+            let waiting = false;
+            let paused = !!opts.paused;
+            let finished = false;
+            let iterator;
+            let pull;
+            let settle;
+
+            // listen to the source until it's finished with
+            let listen = (ev, listener) => {
+                listeners.push([ev, listener]);
+                source.on(ev, listener);
+            };
+
+            // insert as many values as the queue will accept
+            let feed = async () => {
+                if (running) return;
+                running = true;
+                let blocked = false;
+                try {
+                    while (!paused && !finished && flowing()) {
+                        if (held) {
+                            let settings = decide.call(this, held.value, forward, item);
+                            if (!settings) {
+                                blocked = true;
+                                break;
+                            }
+                            let next = held;
+                            held = undefined;
+                            add.call(this, next.value, forward, settings);
+                            continue;
+                        }
+                        let next = pull();
+                        if (next === WAIT) break;
+                        if (typeof next.then === "function") next = await next;
+                        if (next.done) finish(true);
+                        else held = next;
+                    }
+                    if (!paused && !finished && !waiting && (blocked || !flowing())) {
+                        waiting = high ? "low" : "free";
+                        this.once(waiting, resume);
+                    }
+                } catch (err) {
+                    finish(false);
+                    if (!aborted) report.call(this, err, source, true);
+                } finally {
+                    running = false;
+                }
+            };
+            let resume = () => {
+                waiting = false;
+                feed();
+            };
+
+            // once a source has filled the queue to the high watermark, it waits until the
+            // queue has drained to the low watermark before carrying on
+            let flowing = () => accepting.call(this) && !high;
+
+            // stop reading from the source
+            let finish = exhausted => {
+                if (finished) return;
+                finished = true;
+                held = undefined;
+                for (let [ev, listener] of listeners) source.removeListener(ev, listener);
+                if (waiting) this.removeListener(waiting, resume);
+                settle(exhausted);
+
+                // close the queue once chained queues & streams end, or when all sources have
+                sources.delete(handle);
+                if (autoClose ? !sources.size : exhausted && !iterator) this.close();
+            };
+
+            let handle = Object.defineProperties(
+                {},
+                {
+                    done: { value: new Promise(resolve => (settle = resolve)), enumerable: true },
+                    paused: { get: () => paused, enumerable: true },
+                    detach: {
+                        value: () => {
+                            if (!finished && iterator && iterator.return) iterator.return();
+                            finish(false);
+                        }
+                    },
+                    pause: {
+                        value: () => {
+                            paused = true;
+                        }
+                    },
+                    resume: {
+                        value: () => {
+                            paused = false;
+                            feed();
+                        }
+                    }
+                }
+            );
+            sources.add(handle);
+
+            if (source instanceof Spique) {
+                pull = () => {
+                    if (source.available && source[ADMIT]()) {
+                        return { value: source.dequeue(), done: false };
                     }
-                    if (again) this.once("free", feed);
+                    return source.closed ? DONE : WAIT;
+                };
+                listen("data", () => feed());
+                listen("close", () => feed());
+                listen("abort", reason => this.abort(reason));
+            } else if (typeof source.pipe === "function" && typeof source.read === "function") {
+                // only read from the stream while there is space, so it buffers up to its
+                // own highWaterMark & then applies backpressure to whatever is writing to it
+                let ended = false;
+                pull = () => {
+                    let chunk = source.read();
+                    if (chunk !== null) return { value: chunk, done: false };
+                    return ended ? DONE : WAIT;
                 };
-                feed(this);
+                listen("readable", () => feed());
+                listen("end", () => {
+                    ended = true;
+                    feed();
+                });
+                // a stream which fails can't carry on, so the queue fails along with it
+                listen("error", err => {
+                    finish(false);
+                    this.abort(err);
+                });
+            } else {
+                if (Symbol.iterator in source) iterator = source[Symbol.iterator]();
+                else if (Symbol.asyncIterator in source) iterator = source[Symbol.asyncIterator]();
+                else iterator = source;
+                pull = () => iterator.next();
+            }
+
+            feed();
+            return handle;
+        }
+
+        // whether sources should keep feeding, which is always the case if the queue
+        // has an overflow policy to deal with being full
+        function accepting() {
+            return !aborted && (this.free || overflow !== "error");
+        }
+
+        // get the options for adding a value which has been waiting to go into a full queue,
+        // or nothing if an overflow function chooses "error", in which case the value should
+        // keep waiting for space in the same way as it would with the default policy
+        function decide(value, forward, opts) {
+            if (this.free || typeof overflow !== "function") return opts;
+            let policy = overflow(unwrap(value), this, forward);
+            return policy === "error" ? undefined : Object.assign({}, opts, { overflow: policy });
+        }
+
+        // report a value which couldn't be processed, and route it to the dead letter queue
+        function fail(err, value, background = false) {
+            if (deadLetter) {
+                try {
+                    deadLetter.enqueue(value);
+                    if (!this.listenerCount("error")) return;
+                } catch (deadLetterErr) {
+                    err = deadLetterErr;
+                }
             }
+            report.call(this, err, value, background);
+        }
+
+        // emit an error, or abort the queue with it if it happened in the background and
+        // there's nothing listening for it, as there's nowhere else for it to be thrown
+        function report(err, value, background = false) {
+            if (background && !this.listenerCount("error")) this.abort(err);
+            else this.emit("error", err, value, this);
         }
 
         // apply transforms & return a generator instance
@@ -126,7 +552,7 @@ module.exports = class Spique extends EventEmitter {
                 yield value;
             })();
 
-            for (let transform of transforms) {
+            for (let { fn: transform } of transforms) {
                 let input = result;
                 if (Object.getPrototypeOf(transform) === GeneratorFunction) {
                     result = (function*() {
@@ -140,156 +566,1808 @@ module.exports = class Spique extends EventEmitter {
                             let reject = false;
                             r = transform(r, () => reject = true);
                             if (!reject) yield r;
+                            else if (metrics) metrics.rejected++;
                         }
                     })();
                 }
             }
 
-            return result;
+            return function*() {
+                try {
+                    yield* result;
+                } catch (err) {
+                    fail.call(this, err, value);
+                }
+            }.call(this);
         }
 
-        // close the queue
-        function close() {
-            closed = true;
-            if (!items) this.emit("close", this);
+        // register a transform function
+        function addTransform(fn, options = {}) {
+            let type = Object.getPrototypeOf(fn);
+            if (type === AsyncFunction || type === AsyncGeneratorFunction) asyncTransforms = true;
+            transforms.push({
+                fn,
+                type,
+                concurrency: options.concurrency || 1,
+                active: 0,
+                waiting: []
+            });
         }
 
-        // add an item to the tail of the queue
-        function enqueue(value, isSource = false, applyTransforms = true) {
-            // attach source
-            if (isSource) {
-                attachSource.call(this, value, true, applyTransforms);
-                return;
-            }
+        // collect values into arrays of up to count values, which are stored once they are
+        // full, or once the oldest value has waited for maxWait milliseconds
+        function batch(count = Infinity, options = {}) {
+            group.call(this, () => undefined, Object.assign({}, options, { count }), count);
+        }
 
-            // apply transforms
-            if (applyTransforms && transforms.length) {
-                this.enqueue(transform.call(this, value), true, false);
-                return;
+        // collect values into separate batches for each key, which needs a maxWait on a
+        // bounded queue, as otherwise any number of batches could be filling up at once
+        function groupBy(key, options = {}) {
+            let limit = options.maxWait === undefined ? Infinity : options.count || Infinity;
+            group.call(this, key, options, limit);
+        }
+
+        // collect values into batches, which may hold up to limit slots in the queue
+        function group(key, options, limit) {
+            let count = options.count || Infinity;
+            let maxWait = options.maxWait;
+            let groups = new Map();
+
+            // store the values for a key
+            let finish = (k, background) => {
+                let group = groups.get(k);
+                groups.delete(k);
+                if (group.timer !== undefined) clock.clearTimeout(group.timer);
+                let { values, forward, opts } = group;
+                store.call(this, values, forward, opts, values.length, background);
+            };
+
+            setWindow({
+                limit,
+                push: (value, forward, opts) => {
+                    let k = key(value);
+                    let group = groups.get(k);
+                    if (!group) {
+                        groups.set(k, (group = { values: [] }));
+                        if (maxWait !== undefined) {
+                            group.timer = clock.setTimeout(() => finish(k, true), maxWait);
+                        }
+                    }
+                    group.values.push(value);
+                    Object.assign(group, { forward, opts });
+                    if (group.values.length >= count) finish(k);
+                },
+                flush: () => [...groups.keys()].forEach(k => finish(k)),
+                clear: () => {
+                    for (let group of groups.values()) {
+                        if (group.timer !== undefined) clock.clearTimeout(group.timer);
+                    }
+                    groups.clear();
+                }
+            });
+        }
+
+        // store the most recent size values every step values
+        function slidingWindow(size, step = 1) {
+            if (!(Number.isInteger(size) && size > 0 && Number.isInteger(step) && step > 0)) {
+                throw new Error("Invalid window size");
             }
+            let values = [];
+            let since = 0; // values received since the last window was stored
+            let forward;
+            let opts;
 
-            // check queue is open
+            setWindow({
+                limit: Math.max(size, step),
+                push: (value, valueForward, valueOpts) => {
+                    values.push(value);
+                    if (values.length > size) values.shift();
+                    forward = valueForward;
+                    opts = valueOpts;
+                    if (++since >= step && values.length === size) {
+                        store.call(this, values.slice(), forward, opts, since);
+                        since = 0;
+                    }
+                },
+                flush: () => {
+                    if (since) store.call(this, values.slice(), forward, opts, since);
+                    since = 0;
+                },
+                clear: () => {
+                    values = [];
+                    since = 0;
+                }
+            });
+        }
+
+        // set the window which collects values, which must be able to fill up without
+        // running out of space, as each value it holds takes up a slot in the queue
+        function setWindow(w) {
+            if (windowing) throw new Error("Queue already has a window");
+            if (size && w.limit > size) throw new Error("Window is larger than the queue");
+            windowing = w;
+        }
+
+        // add a value to the window, holding a slot for it until the window is stored
+        function collect(value, forward, opts) {
             if (this.closed) throw new Error("Queue is closed");
+            if (!accepting.call(this)) throw new Error("Queue is full");
 
-            // check available space
-            if (!this.free) throw new Error("Queue is full");
+            ++pending;
+            occupancy.call(this);
+            windowing.push(value, forward, opts);
+            if (closed) windowing.flush(); // anything which arrives late is stored immediately
+        }
 
-            // allocate a new ring
-            if (!tailRing.free) {
-                let r = tailRing._below || new RingBuffer(ringSize);
-                r._above = tailRing;
-                tailRing._below = r;
-                tailRing = r;
-                rings++;
+        // store a window, and give up the slots held by the values in it
+        function store(values, forward, opts, held, background = false) {
+            let item = Object.assign({}, opts, { transform: false, window: false });
+            let free = this.free;
+            pending -= held;
+            try {
+                add.call(this, values, forward, item);
+            } catch (err) {
+                fail.call(this, err, values, background);
             }
 
-            // enqueue data
-            tailRing.push(value);
-            ++items;
+            // the window takes up fewer slots than its values did
+            occupancy.call(this);
+            if (this.free > free && !closed) this.emit("free", this);
+        }
 
-            // fire events
+        // wait for a free concurrency slot on a transform
+        function acquire(t) {
+            if (t.active < t.concurrency) t.active++;
+            else return new Promise(resolve => t.waiting.push(resolve));
+        }
+
+        // hand a concurrency slot on to the next waiting call, or give it up
+        function release(t) {
+            if (t.waiting.length) t.waiting.shift()();
+            else t.active--;
+        }
+
+        // apply transforms & return an async generator instance
+        function transformAsync(value) {
+            let result = (async function*() {
+                yield value;
+            })();
+
+            for (let t of transforms) {
+                let input = result;
+                if (t.type === GeneratorFunction) {
+                    result = (async function*() {
+                        for await (let r of input) yield* t.fn(r);
+                    })();
+                } else if (t.type === AsyncGeneratorFunction) {
+                    result = (async function*() {
+                        for await (let r of input) {
+                            await acquire(t);
+                            try {
+                                yield* t.fn(r);
+                            } finally {
+                                release(t);
+                            }
+                        }
+                    })();
+                } else if (t.type === AsyncFunction) {
+                    result = (async function*() {
+                        for await (let r of input) {
+                            let reject = false;
+                            await acquire(t);
+                            try {
+                                r = await t.fn(r, () => (reject = true));
+                            } finally {
+                                release(t);
+                            }
+                            if (!reject) yield r;
+                            else if (metrics) metrics.rejected++;
+                        }
+                    })();
+                } else {
+                    result = (async function*() {
+                        for await (let r of input) {
+                            let reject = false;
+                            r = t.fn(r, () => (reject = true));
+                            if (!reject) yield r;
+                            else if (metrics) metrics.rejected++;
+                        }
+                    })();
+                }
+            }
+
+            return result;
+        }
+
+        // run a value through the async transform pipeline in the background, reserving
+        // a slot in the queue until it's finished
+        function startJob(value, forward, opts) {
+            let job = { forward, opts, results: [], done: false };
+            jobs.push(job);
+            ++pending;
+            occupancy.call(this);
             if (!this.free) this.emit("full", this);
-            if (items === 1) this.emit("data", this);
+
+            (async () => {
+                try {
+                    for await (let result of transformAsync(value)) {
+                        if (aborted) return;
+                        job.results.push(result);
+                        flush.call(this);
+                    }
+                } catch (err) {
+                    if (!aborted) fail.call(this, err, value, true);
+                } finally {
+                    if (!aborted) {
+                        job.done = true;
+                        --pending;
+                        flush.call(this);
+                        occupancy.call(this);
+                        if (this.free && !closed) this.emit("free", this);
+                    }
+                }
+            })();
         }
 
-        // add an item to the head of the queue
-        function enqueueHead(value, isSource = false, applyTransforms = true) {
-            // attach source
-            if (isSource) {
-                attachSource.call(this, value, false, applyTransforms);
-                return;
+        // insert transform results in the order that their jobs were started, which only
+        // makes space for them once their own slot has been given up
+        function flush() {
+            if (flushing) return;
+            flushing = true;
+
+            let finished = false;
+            while (jobs.length) {
+                let job = jobs[0];
+                while ((this.free || (job.done && accepting.call(this))) && ready(job)) {
+                    let settings = decide.call(this, job.results[0], job.forward, job.opts);
+                    if (!settings) break;
+                    add.call(this, job.results.shift(), job.forward, settings);
+                }
+                if (job.results.length || job.output || !job.done) break;
+                jobs.shift();
+                finished = true;
             }
 
-            // apply transforms
-            if (applyTransforms && transforms.length) {
-                this.enqueueHead(transform.call(this, value), true, false);
-                return;
+            flushing = false;
+            if (finished && this.closed) {
+                this.emit("close", this);
+                wake.call(this);
             }
+        }
 
-            // check queue is open
-            if (this.closed) throw new Error("Queue is closed");
+        // get the next result of a job ready to insert, reading it from the job's sync
+        // transforms if necessary, and return whether there is one
+        function ready(job) {
+            if (!job.results.length && job.output) {
+                let next = job.output.next();
+                if (next.done) job.output = undefined;
+                else job.results.push(next.value);
+            }
+            return job.results.length;
+        }
 
-            // check available space
-            if (!this.free) throw new Error("Queue is full");
+        // close the queue with an error, discarding everything in it
+        function abort(reason = new Error("Queue aborted")) {
+            if (aborted) return;
+            aborted = true;
+            abortReason = reason;
+            closed = true;
 
-            // allocate a new ring
-            if (!headRing.free) {
-                let r = headRing._above || new RingBuffer(ringSize);
-                r._below = headRing;
-                headRing._above = r;
-                headRing = r;
-                rings++;
-            }
+            // discard stored items, pending transforms & sources
+            levels = levels.map(() => chain());
+            rings = levels.length;
+            items = 0;
+            ++version;
+            keyed.clear();
+            jobs = [];
+            pending = 0;
+            for (let handle of [...sources]) handle.detach();
+            for (let timer of timers) clock.clearTimeout(timer.id);
+            timers.clear();
+            outstanding = 0;
+            if (windowing) windowing.clear();
+            for (let reservation of reservations.values()) clock.clearTimeout(reservation.timer);
+            reservations.clear();
+            if (expiryTimer !== undefined) clock.clearTimeout(expiryTimer);
+            expiryTimer = undefined;
+            nextExpiry = Infinity;
+            if (limiter && limiter.timer !== undefined) clock.clearTimeout(limiter.timer);
+            occupancy.call(this);
+            record("abort");
 
-            // enqueue data
-            headRing.unshift(value);
-            ++items;
+            // fire events
+            this.emit("abort", reason, this);
+            this.emit("close", this);
+            wake.call(this);
+        }
+
+        // stop releasing items to takers, workers & chained queues until resumed
+        function pauseQueue() {
+            paused = true;
+        }
+
+        // carry on releasing items after a pause
+        function resumeQueue() {
+            if (!paused) return;
+            paused = false;
 
             // fire events
-            if (!this.free) this.emit("full", this);
-            if (items === 1) this.emit("data", this);
+            if (items) this.emit("data", this);
+            if (this.free && !closed) this.emit("free", this);
+            wake.call(this);
         }
 
-        // peek at the value at the head of the queue
-        function peek() {
-            if (!items) throw new Error("Queue is empty");
+        // close the queue
+        function close() {
+            if (aborted) return;
+            if (windowing) windowing.flush();
+            if (!closed) {
+                closed = true;
+                record("close");
+            }
+            if (this.closed) this.emit("close", this);
+            wake.call(this);
+        }
 
-            return headRing.peekStart();
+        // wait for the next item & resolve with an iterator result
+        function wait() {
+            return new Promise(resolve => {
+                takers.push(resolve);
+                wake.call(this);
+            });
         }
 
-        // peek at the value at the tail of the queue
-        function peekTail() {
-            if (!items) throw new Error("Queue is empty");
+        // hand items to waiting takers, or tell them the queue is closed
+        function wake() {
+            expire.call(this);
+            while (takers.length && items && admit.call(this))
+                takers.shift()({ value: shift.call(this, true), done: false });
+            if (this.closed) while (takers.length) takers.shift()({ value: undefined, done: true });
+        }
+
+        // hand items to an async handler as they arrive, retrying any which fail, and
+        // return a controller for the worker
+        function startWorker(handler, options = {}) {
+            let concurrency = options.concurrency || 1;
+            let retries = options.retries || 0;
+            let backoff = options.backoff || 0;
+            let requeue = options.requeue || "head";
+            if (!["head", "tail"].includes(requeue)) throw new Error("Invalid requeue policy");
+            if (retries && ringType !== Array) throw new Error("Typed rings can't retry items");
+
+            let active = 0;
+            let paused = false;
+            let stopped = false;
+            let idlers = [];
 
-            return tailRing.peek();
+            // start handlers for as many items as the concurrency limit allows
+            let pump = () => {
+                while (!paused && !stopped && active < concurrency) {
+                    expire.call(this);
+                    if (!items || !admit.call(this)) break;
+
+                    // the item keeps its space in the queue until the handler is finished
+                    let c = first();
+                    let stored = removeHead(c);
+                    delivered(stored, true);
+                    ++active;
+                    ++outstanding;
+                    ++pending;
+                    changed.call(this, items + 1);
+                    run(stored, levels.indexOf(c));
+                }
+            };
+
+            // run the handler for an item, and put it back in the queue if it fails
+            let run = async (stored, priority) => {
+                let value = unwrap(stored);
+                let attempts = stored instanceof Envelope ? stored.attempts : 0;
+                let failed = false;
+                let error;
+                try {
+                    await handler(value, attempts);
+                } catch (err) {
+                    failed = true;
+                    error = err;
+                }
+                --active;
+
+                // free up the item's space, unless it's being retried
+                if (!aborted) {
+                    --pending;
+                    if (failed) {
+                        try {
+                            failed = !retry(stored, priority);
+                        } catch (retryErr) {
+                            error = retryErr;
+                        }
+                    }
+                    --outstanding;
+                    occupancy.call(this);
+                    if (this.free && !closed) this.emit("free", this);
+                    if (this.closed) {
+                        this.emit("close", this);
+                        wake.call(this);
+                    }
+                }
+                pump();
+                settle();
+                if (failed) fail.call(this, error, value, true);
+            };
+
+            // put a failed item back in the queue after a delay, and return whether it was
+            // put back or has run out of retries
+            let retry = (stored, priority) => {
+                let value = unwrap(stored);
+                let attempts = stored instanceof Envelope ? stored.attempts : 0;
+                let expires = stored instanceof Envelope ? stored.expires : Infinity;
+                if (attempts >= retries) return false;
+
+                let delay =
+                    typeof backoff === "function"
+                        ? backoff(attempts + 1, value)
+                        : backoff * Math.pow(2, attempts);
+                let item = new Envelope(value, expires, attempts + 1);
+                add.call(this, item, requeue === "tail", { delay, priority });
+                return true;
+            };
+
+            // resolve idle() promises once every handler is finished, and the queue is closed
+            let settle = () => {
+                if (!active && (stopped || this.closed)) {
+                    idlers.splice(0).forEach(resolve => resolve());
+                }
+            };
+
+            this.on("data", pump);
+            this.on("close", settle);
+
+            return Object.defineProperties(
+                {},
+                {
+                    active: { get: () => active, enumerable: true },
+                    paused: { get: () => paused, enumerable: true },
+                    pause: {
+                        value: () => {
+                            paused = true;
+                        }
+                    },
+                    resume: {
+                        value: () => {
+                            paused = false;
+                            pump();
+                        }
+                    },
+                    stop: {
+                        value: () => {
+                            stopped = true;
+                            this.removeListener("data", pump);
+                            this.removeListener("close", settle);
+                            settle();
+                        }
+                    },
+                    idle: {
+                        value: () =>
+                            new Promise(resolve => {
+                                idlers.push(resolve);
+                                settle();
+                            })
+                    }
+                }
+            );
         }
 
-        // remove an item from the head of the queue
-        function dequeue() {
+        // hide the item at the head of the queue until it's acked or nacked, and return it
+        // along with a receipt
+        function reserve(options = {}) {
+            if (ringType !== Array) throw new Error("Typed rings can't reserve items");
+            expire.call(this);
             if (!items) throw new Error("Queue is empty");
 
-            let value = headRing.shift();
-            --items;
-
-            // deallocate unused buffer
-            if (!headRing.length && rings > 1) {
-                headRing._above = undefined;
-                headRing = headRing._below;
-                rings--;
+            // the item keeps its space in the queue until it's acked
+            let c = first();
+            let priority = levels.indexOf(c);
+            let receipt = ++lastReceipt;
+            let stored = removeHead(c, false);
+            let reservation = hold(receipt, stored, priority);
+            record("reserve", priority, receipt);
+            delivered(stored, true);
+            let timeout = options.timeout === undefined ? visibilityTimeout : options.timeout;
+            if (timeout !== undefined) {
+                reservation.timer = clock.setTimeout(() => nack.call(this, receipt), timeout);
             }
+            changed.call(this, items + 1);
+
+            let deliveries = (stored instanceof Envelope ? stored.attempts : 0) + 1;
+            return { value: unwrap(stored), receipt, deliveries };
+        }
+
+        // keep a reserved item, without firing any events
+        function hold(receipt, stored, priority) {
+            let reservation = { stored, priority };
+            reservations.set(receipt, reservation);
+            ++outstanding;
+            ++pending;
+            return reservation;
+        }
+
+        // finish with a reserved item
+        function unreserve(receipt) {
+            let reservation = reservations.get(receipt);
+            if (!reservation) throw new Error("Invalid receipt");
+
+            if (reservation.timer !== undefined) clock.clearTimeout(reservation.timer);
+            reservations.delete(receipt);
+            --outstanding;
+            --pending;
+            return reservation;
+        }
+
+        // remove a reserved item for good
+        function ack(receipt) {
+            unreserve(receipt);
+            record("ack", receipt);
 
             // fire events
-            if (!items) {
-                this.emit("empty", this);
-                if (closed) this.emit("close", this);
-            }
+            occupancy.call(this);
             if (this.free && !closed) this.emit("free", this);
+            if (this.closed) {
+                this.emit("close", this);
+                wake.call(this);
+            }
+        }
 
-            return value;
+        // put a reserved item back at the head of the queue, so that it can be delivered again
+        function nack(receipt) {
+            let before = items;
+            redeliver.call(this, receipt);
+            record("nack", receipt);
+            changed.call(this, before);
         }
 
-        // remove an item from the tail of the queue
-        function dequeueTail() {
-            if (!items) throw new Error("Queue is empty");
+        // put a reserved item back at the head of the queue, without firing any events
+        function redeliver(receipt) {
+            let { stored, priority } = unreserve(receipt);
+            let expires = stored instanceof Envelope ? stored.expires : Infinity;
+            let attempts = stored instanceof Envelope ? stored.attempts : 0;
+            if (expires < Infinity) scheduleExpiry.call(this, expires);
 
-            let value = tailRing.pop();
-            --items;
+            let value = new Envelope(unwrap(stored), expires, attempts + 1);
+            insertHead(value, levels[priority], false);
+        }
 
-            // deallocate unused buffer
-            if (!tailRing.length && rings > 1) {
-                tailRing._below = undefined;
-                tailRing = tailRing._above;
-                rings--;
-            }
+        // remove an item from the head of the queue once one is available
+        function take() {
+            return wait.call(this).then(next => {
+                if (next.done) throw aborted ? abortReason : new Error("Queue is closed");
+                return next.value;
+            });
+        }
 
-            // fire events
-            if (!items) {
-                this.emit("empty", this);
-                if (closed) this.emit("close", this);
+        // drain the queue into several new queues, each of which gets a copy of every item
+        function tee(n = 2, options = {}) {
+            let lag = options.lag === undefined ? size : options.lag;
+            let policy = options.overflow || "error";
+            let subscribers = [];
+            let distributing = false;
+            let closing = false;
+
+            // copy items while every subscriber has space, so that the slowest one sets the pace
+            let distribute = () => {
+                if (distributing) return;
+                distributing = true;
+                expire.call(this);
+                while (
+                    items &&
+                    !paused &&
+                    subscribers.length &&
+                    (policy !== "error" || subscribers.every(sub => sub.free))
+                ) {
+                    let value = shift.call(this, true);
+                    for (let sub of subscribers) sub.enqueue(value);
+                }
+                distributing = false;
+                if (closing) finish();
+            };
+
+            // close the subscribers once the queue is closed & everything has been copied
+            let finish = () => {
+                closing = false;
+                subscribers.forEach(sub => sub.close());
+            };
+
+            for (let i = 0; i < n; i++) {
+                let sub = new Spique(lag, ringSize, { overflow: policy });
+                subscribers.push(sub);
+                sub.on("free", distribute);
+                sub.on("abort", () => {
+                    subscribers.splice(subscribers.indexOf(sub), 1);
+                    distribute();
+                });
             }
-            if (this.free && !closed) this.emit("free", this);
+            let result = subscribers.slice();
 
-            return value;
+            this.on("data", distribute);
+            this.on("close", () => {
+                closing = true;
+                if (!distributing) finish();
+            });
+            this.on("abort", reason => subscribers.slice().forEach(sub => sub.abort(reason)));
+
+            return result;
+        }
+
+        // limit how quickly items are released to takers, workers & chained queues
+        function rateLimit(rate, options = {}) {
+            let interval = options.interval === undefined ? 1000 : options.interval;
+            let burst = options.burst === undefined ? rate : options.burst;
+            if (!(rate > 0 && interval > 0 && burst > 0)) throw new Error("Invalid rate limit");
+
+            let tokens = limiter ? Math.min(limiter.tokens, burst) : burst;
+            let replaced = limiter;
+            if (limiter && limiter.timer !== undefined) clock.clearTimeout(limiter.timer);
+            limiter = { rate, interval, burst, tokens, cost: options.cost, updated: clock.now() };
+
+            // anything which was waiting on the old limit tries again under the new one
+            if (replaced) {
+                if (items && !paused) this.emit("data", this);
+                wake.call(this);
+            }
         }
+
+        // check whether the rate limit allows the item at the head of the queue to be
+        // released, and use up its tokens if so
+        function admit() {
+            if (paused) return false;
+            if (!limiter) return true;
+            expire.call(this);
+            if (!items) return false;
+
+            // top up the bucket for the time since it was last used
+            let now = clock.now();
+            let { rate, interval, burst } = limiter;
+            limiter.tokens = Math.min(
+                burst,
+                limiter.tokens + ((now - limiter.updated) * rate) / interval
+            );
+            limiter.updated = now;
+
+            // an item which costs more than the burst size is released once the bucket is full,
+            // leaving it in debt
+            let cost = limiter.cost ? limiter.cost(unwrap(first().head.peekStart())) : 1;
+            let needed = Math.min(cost, burst);
+            if (limiter.tokens >= needed) {
+                limiter.tokens -= cost;
+                return true;
+            }
+
+            // try again once there are enough tokens
+            if (limiter.timer === undefined) {
+                let delay = Math.ceil(((needed - limiter.tokens) * interval) / rate);
+                limiter.timer = clock.setTimeout(() => {
+                    limiter.timer = undefined;
+                    if (items && !paused) this.emit("data", this);
+                    wake.call(this);
+                }, delay);
+            }
+            return false;
+        }
+
+        // note when an item is stored, so that its latency can be measured once it's removed
+        function stamp(value) {
+            if (!(value instanceof Envelope)) value = new Envelope(value);
+            value.added = clock.now();
+            return value;
+        }
+
+        // count an item which has been removed from either end of the queue, and measure
+        // how long it was there for
+        function delivered(stored, forward) {
+            if (!metrics) return;
+            metrics.dequeued[forward ? "head" : "tail"]++;
+            if (stored instanceof Envelope && stored.added !== undefined) {
+                let latency = metrics.latency;
+                let ms = clock.now() - stored.added;
+                let bucket = latency.buckets.findIndex(bound => ms <= bound);
+                latency.counts[bucket < 0 ? latency.buckets.length : bucket]++;
+                latency.count++;
+                latency.sum += ms;
+                latency.max = Math.max(latency.max, ms);
+            }
+        }
+
+        // get a copy of the running totals
+        function stats() {
+            if (!metrics) throw new Error("Stats are not enabled");
+            let { latency, fullSince } = metrics;
+            return {
+                length: this.length,
+                rings,
+                enqueued: Object.assign({}, metrics.enqueued),
+                dequeued: Object.assign({}, metrics.dequeued),
+                dropped: metrics.dropped,
+                rejected: metrics.rejected,
+                peakLength: metrics.peakLength,
+                peakRings: metrics.peakRings,
+                fullTime:
+                    metrics.fullTime + (fullSince === undefined ? 0 : clock.now() - fullSince),
+                latency: Object.assign({}, latency, {
+                    buckets: latency.buckets.slice(),
+                    counts: latency.counts.slice()
+                })
+            };
+        }
+
+        // add an item to the tail of the queue
+        function enqueue(value, isSource = false, applyTransforms = true) {
+            return add.call(this, value, true, settings(isSource, applyTransforms));
+        }
+
+        // add an item to the head of the queue
+        function enqueueHead(value, isSource = false, applyTransforms = true) {
+            return add.call(this, value, false, settings(isSource, applyTransforms));
+        }
+
+        // get the settings for enqueue() & enqueueHead(), which may be passed as an object
+        function settings(isSource, applyTransforms) {
+            if (isSource && typeof isSource === "object") {
+                return Object.assign({}, DEFAULTS, isSource);
+            }
+            if (!isSource && applyTransforms) return DEFAULTS;
+            return { source: isSource, transform: applyTransforms };
+        }
+
+        // add an item to either end of the queue
+        function add(value, forward, opts) {
+            // attach source
+            if (opts.source) return attachSource.call(this, value, forward, opts);
+
+            // hold back delayed items until they are due
+            if (opts.delay !== undefined || opts.at !== undefined) {
+                return schedule.call(this, value, forward, opts);
+            }
+
+            // apply transforms
+            if (opts.transform && transforms.length) {
+                let item = Object.assign({}, opts, { transform: false, window: true });
+                if (this.closed) throw new Error("Queue is closed");
+                if (!accepting.call(this)) throw new Error("Queue is full");
+                if (asyncTransforms) startJob.call(this, value, forward, item);
+                else {
+                    // results which don't fit wait in line with any other jobs
+                    let output = transform.call(this, value);
+                    jobs.push({ forward, opts: item, results: [], output, done: true });
+                    flush.call(this);
+                }
+                return;
+            }
+
+            // collect values into windows
+            if (windowing && (opts.transform || opts.window)) {
+                return collect.call(this, value, forward, opts);
+            }
+
+            // check queue is open
+            let target = level(opts.priority, forward);
+            if (this.closed) throw new Error("Queue is closed");
+
+            // deal with a value whose key is already in the queue
+            let before = items;
+            let duplicate = keyOf && keyed.get(keyOf(unwrap(value)));
+            if (duplicate && duplicates === "ignore") return;
+            if (opts.ttl !== undefined) value = wrap.call(this, value, clock.now() + opts.ttl);
+            if (duplicate && duplicates === "replace") {
+                return replaceItem(seek(duplicate.value), value);
+            }
+            if (duplicate) removeItem(seek(duplicate.value));
+
+            // check available space
+            if (!this.free && !makeSpace.call(this, value, forward, opts.overflow)) return;
+
+            // enqueue data
+            if (metrics && ringType === Array) value = stamp.call(this, value);
+            if (forward) insertTail(value, target);
+            else insertHead(value, target);
+            if (metrics) metrics.enqueued[forward ? "tail" : "head"]++;
+
+            // fire events
+            changed.call(this, before);
+        }
+
+        // peek at the value at the head of the queue
+        function peek() {
+            expire.call(this);
+            if (!items) throw new Error("Queue is empty");
+
+            return unwrap(first().head.peekStart());
+        }
+
+        // peek at the value at the tail of the queue
+        function peekTail() {
+            expire.call(this);
+            if (!items) throw new Error("Queue is empty");
+
+            return unwrap(last().tail.peek());
+        }
+
+        // deal with a full queue according to the overflow policy, and return whether
+        // the incoming value should still be inserted
+        function makeSpace(value, forward, policy = overflow) {
+            value = unwrap(value);
+            if (typeof policy === "function") policy = policy(value, this, forward);
+            if (policy === "evict" && items) {
+                if (metrics) metrics.dropped++;
+                this.emit("drop", unwrap(forward ? removeHead() : removeTail()), this);
+                return true;
+            } else if (policy === "discard" || policy === "evict") {
+                // if every slot is held by a value which isn't stored yet, there's nothing to
+                // evict, so the incoming value is dropped instead
+                if (metrics) metrics.dropped++;
+                this.emit("drop", value, this);
+                return false;
+            }
+            throw new Error("Queue is full");
+        }
+
+        // fire events after the number of stored items has changed
+        function changed(before) {
+            occupancy.call(this);
+            if (items > before) {
+                if (!this.free) this.emit("full", this);
+                if (!before && !paused) this.emit("data", this);
+                wake.call(this);
+            } else if (items < before) {
+                if (!items) {
+                    this.emit("empty", this);
+                    if (this.closed) this.emit("close", this);
+                }
+                if (this.free && !closed) this.emit("free", this);
+                if (jobs.length) flush.call(this);
+            }
+        }
+
+        // keep track of how full the queue is, and fire the high & low watermark events, which
+        // alternate so that a queue hovering around either watermark doesn't keep firing them
+        function occupancy() {
+            if (metrics) {
+                let full = !this.free;
+                if (full && metrics.fullSince === undefined) metrics.fullSince = clock.now();
+                else if (!full && metrics.fullSince !== undefined) {
+                    metrics.fullTime += clock.now() - metrics.fullSince;
+                    metrics.fullSince = undefined;
+                }
+                metrics.peakLength = Math.max(metrics.peakLength, this.length);
+                metrics.peakRings = Math.max(metrics.peakRings, rings);
+            }
+
+            if (highWaterMark === undefined) return;
+            let level = items + pending;
+            if (!high && level >= highWaterMark) {
+                high = true;
+                this.emit("high", this);
+            } else if (high && level <= lowWaterMark) {
+                high = false;
+                this.emit("low", this);
+            }
+        }
+
+        // create an empty ring chain for a priority level
+        function chain() {
+            let ring = allocate();
+            return { head: ring, tail: ring, rings: 1, length: 0 };
+        }
+
+        // get an empty ring, reusing a spare one if possible
+        function allocate() {
+            return pool.pop() || new RingBuffer(ringSize, ringType);
+        }
+
+        // keep an empty ring for reuse, but once there are too many spare rings, release
+        // them all the way back down to the limit so that this doesn't happen too often
+        function recycle(ring) {
+            ring._above = ring._below = undefined;
+            pool.push(ring);
+            if (pool.length > maxSpareRings) pool.length = spareRings;
+        }
+
+        // get the priority level for a new item, which defaults to the same end of the queue
+        function level(priority, forward) {
+            if (priority === undefined) return levels[forward ? 0 : levels.length - 1];
+            if (!(Number.isInteger(priority) && priority >= 0 && priority < levels.length)) {
+                throw new Error("Invalid priority");
+            }
+            return levels[priority];
+        }
+
+        // get the highest priority level which contains any items
+        function first() {
+            let i = levels.length - 1;
+            while (i && !levels[i].length) i--;
+            return levels[i];
+        }
+
+        // get the lowest priority level which contains any items
+        function last() {
+            let i = 0;
+            while (i < levels.length - 1 && !levels[i].length) i++;
+            return levels[i];
+        }
+
+        // find the ring containing the item at an index, the item's offset within it, and
+        // the priority level it belongs to
+        function locate(index) {
+            let i = levels.length - 1;
+            while (i && index >= levels[i].length) index -= levels[i--].length;
+
+            let c = levels[i];
+            let ring;
+            if (index < c.length / 2) {
+                for (ring = c.head; index >= ring.length; ring = ring._below) index -= ring.length;
+                return [ring, index, c];
+            }
+            index = c.length - 1 - index;
+            for (ring = c.tail; index >= ring.length; ring = ring._above) index -= ring.length;
+            return [ring, ring.length - 1 - index, c];
+        }
+
+        // check an index & convert it to a position from the head of the queue
+        function position(index, max = items - 1) {
+            if (index < 0) index += items;
+            if (!Number.isInteger(index) || index < 0 || index > max) {
+                throw new Error("Index out of range");
+            }
+            return index;
+        }
+
+        // add a new ring below the tail of a ring chain
+        function growTail(c) {
+            let r = allocate();
+            r._above = c.tail;
+            c.tail._below = r;
+            c.tail = r;
+            c.rings++;
+            rings++;
+        }
+
+        // add a new ring above the head of a ring chain
+        function growHead(c) {
+            let r = allocate();
+            r._below = c.head;
+            c.head._above = r;
+            c.head = r;
+            c.rings++;
+            rings++;
+        }
+
+        // add an item to the tail of a ring chain, without firing any events
+        function insertTail(value, c) {
+            if (!c.tail.free) growTail(c);
+            c.tail.push(value);
+            ++c.length;
+            ++items;
+            ++version;
+            addKey(value);
+            if (journal) record("push", levels.indexOf(c), value);
+        }
+
+        // add an item to the head of a ring chain, without firing any events
+        function insertHead(value, c, journaled = true) {
+            if (!c.head.free) growHead(c);
+            c.head.unshift(value);
+            ++c.length;
+            ++items;
+            ++version;
+            addKey(value);
+            if (journaled && journal) record("unshift", levels.indexOf(c), value);
+        }
+
+        // add an item at any position in the queue, without firing any events
+        function insertItem(index, value) {
+            if (index === items) return insertTail(value, levels[0]);
+            let [ring, offset, c] = locate(index);
+            if (!offset && ring === c.head) return insertHead(value, c);
+
+            // make space by moving the last item in the ring down into the next one
+            if (!ring.free) {
+                if (ring === c.tail) growTail(c);
+                else if (!ring._below.free) {
+                    let r = allocate();
+                    r._above = ring;
+                    r._below = ring._below;
+                    ring._below._above = r;
+                    ring._below = r;
+                    c.rings++;
+                    rings++;
+                }
+                ring._below.unshift(ring.pop());
+            }
+            ring.insert(offset, value);
+            ++c.length;
+            ++items;
+            ++version;
+            addKey(value);
+            record("insert", index, value);
+        }
+
+        // remove an item from any position in the queue, without firing any events
+        function removeItem(index) {
+            let [ring, offset, c] = locate(index);
+            if (!offset && ring === c.head) return removeHead(c);
+            if (offset === ring.length - 1 && ring === c.tail) return removeTail(c);
+
+            // the ring can't be at either end, as those contain the first & last items
+            let value = ring.remove(offset);
+            --c.length;
+            --items;
+            ++version;
+            removeKey(value);
+
+            // deallocate unused buffer
+            if (!ring.length) {
+                ring._above._below = ring._below;
+                ring._below._above = ring._above;
+                recycle(ring);
+                c.rings--;
+                rings--;
+            }
+
+            record("remove", index);
+            return value;
+        }
+
+        // get the item at an index (negative indexes count back from the tail)
+        function at(index) {
+            let [ring, offset] = locate(position(index));
+            return unwrap(ring.get(offset));
+        }
+
+        // replace the item at an index
+        function set(index, value) {
+            replaceItem(position(index), value);
+        }
+
+        // replace the item at an index, without firing any events
+        function replaceItem(index, value) {
+            let [ring, offset] = locate(index);
+            let old = ring.get(offset);
+            ring.set(offset, value);
+            ++version;
+            removeKey(old);
+            addKey(value);
+            record("set", index, value);
+        }
+
+        // insert an item before an index
+        function insertAt(index, value) {
+            index = position(index, items);
+            if (this.closed) throw new Error("Queue is closed");
+            if (!this.free) throw new Error("Queue is full");
+
+            insertItem(index, value);
+            changed.call(this, items - 1);
+        }
+
+        // remove & return the item at an index
+        function removeAt(index) {
+            let value = removeItem(position(index));
+            changed.call(this, items + 1);
+            return unwrap(value);
+        }
+
+        // remove and / or insert items, in the same way as Array.prototype.splice()
+        function splice(start, deleteCount, ...values) {
+            start = start < 0 ? Math.max(items + start, 0) : Math.min(start, items);
+            deleteCount = Math.min(
+                Math.max(deleteCount === undefined ? items : deleteCount, 0),
+                items - start
+            );
+            if (values.length && this.closed) throw new Error("Queue is closed");
+            if (values.length - deleteCount > this.free) throw new Error("Queue is full");
+
+            let before = items;
+            let removed = [];
+            while (removed.length < deleteCount) removed.push(unwrap(removeItem(start)));
+            values.forEach((value, i) => insertItem(start + i, value));
+            changed.call(this, before);
+
+            return removed;
+        }
+
+        // remove an item from the head of a ring chain, without firing any events
+        function removeHead(c = first(), journaled = true) {
+            let value = c.head.shift();
+            --c.length;
+            --items;
+            ++version;
+            shrinkHead(c);
+            removeKey(value);
+            if (journaled && journal) record("shift", levels.indexOf(c));
+
+            return value;
+        }
+
+        // remove an item from the tail of a ring chain, without firing any events
+        function removeTail(c = last()) {
+            let value = c.tail.pop();
+            --c.length;
+            --items;
+            ++version;
+            shrinkTail(c);
+            removeKey(value);
+            if (journal) record("pop", levels.indexOf(c));
+
+            return value;
+        }
+
+        // deallocate the head ring of a ring chain if it's empty
+        function shrinkHead(c) {
+            if (!c.head.length && c.rings > 1) {
+                let ring = c.head;
+                c.head = ring._below;
+                c.head._above = undefined;
+                recycle(ring);
+                c.rings--;
+                rings--;
+            }
+        }
+
+        // deallocate the tail ring of a ring chain if it's empty
+        function shrinkTail(c) {
+            if (!c.tail.length && c.rings > 1) {
+                let ring = c.tail;
+                c.tail = ring._above;
+                c.tail._below = undefined;
+                recycle(ring);
+                c.rings--;
+                rings--;
+            }
+        }
+
+        // change the maximum size of the queue
+        function resize(newSize) {
+            if (!(Number.isInteger(newSize) && newSize >= 0)) throw new Error("Invalid size");
+            if (windowing && newSize && windowing.limit > newSize) {
+                throw new Error("Window is larger than the queue");
+            }
+
+            let wasFree = this.free;
+            size = newSize;
+            occupancy.call(this);
+
+            // fire events
+            if (wasFree && !this.free) this.emit("full", this);
+            else if (!wasFree && this.free && !closed) this.emit("free", this);
+        }
+
+        // get the stored items & settings which are needed to rebuild the queue
+        function state() {
+            return {
+                size,
+                ringSize,
+                ringType: ringType.name,
+                closed,
+                levels: levels.map(c => {
+                    let values = new Array(c.length);
+                    for (let ring = c.head, offset = 0; ring; ring = ring._below) {
+                        offset += ring.peekInto(values, offset);
+                    }
+                    return values.map(unwrap);
+                }),
+                expires: levels.map(c => {
+                    let expires = [];
+                    let offset = 0;
+                    for (let ring = c.head; ring; ring = ring._below) {
+                        for (let value of ring) {
+                            if (value instanceof Envelope && value.expires < Infinity) {
+                                expires.push([offset, value.expires]);
+                            }
+                            offset++;
+                        }
+                    }
+                    return expires;
+                }),
+                reserved: [...reservations].map(([receipt, { stored, priority }]) => [
+                    receipt,
+                    priority,
+                    unwrap(stored)
+                ])
+            };
+        }
+
+        // serialize the queue, so that it can be rebuilt later using Spique.restore()
+        function snapshot(options = {}) {
+            return (options.serializer || serializer).serialize(state());
+        }
+
+        // forget every reserved item, without firing any events
+        function dropReservations() {
+            for (let receipt of [...reservations.keys()]) unreserve(receipt);
+        }
+
+        // write a change to the journal once it has been applied, so that nothing is written
+        // for a change which fails part way through
+        function record(...entry) {
+            if (!journal) return;
+            if (logged >= compactEvery) return compact(); // the snapshot includes the change
+            let [op, a, b] = entry;
+            if (b instanceof Envelope) {
+                entry = b.expires < Infinity ? [op, a, b.value, b.expires] : [op, a, b.value];
+            } else if (op === "pushMany" && metrics) entry = [op, a, b.map(unwrap)];
+            journal.append(entry);
+            logged++;
+        }
+
+        // replace the journal with a snapshot of the current state
+        function compact() {
+            journal.compact(state());
+            logged = 0;
+        }
+
+        // apply a change from the journal, without firing any events
+        function replay([op, a, b, expires]) {
+            if (expires !== undefined) b = wrap.call(this, b, expires);
+            if (op === "snapshot") {
+                clearItems();
+                a.levels.forEach((values, i) => {
+                    for (let [offset, expires] of (a.expires && a.expires[i]) || []) {
+                        values[offset] = wrap.call(this, values[offset], expires);
+                    }
+                    storeMany(values, 0, values.length, levels[i]);
+                });
+                dropReservations();
+                for (let [receipt, priority, value] of a.reserved || []) {
+                    hold(receipt, value, priority);
+                }
+                closed = a.closed;
+            } else if (op === "reserve") hold(b, removeHead(levels[a], false), a);
+            else if (op === "ack") unreserve(a);
+            else if (op === "nack") redeliver.call(this, a);
+            else if (op === "abort") {
+                clearItems();
+                dropReservations();
+                closed = true;
+            } else if (op === "push") insertTail(b, levels[a]);
+            else if (op === "unshift") insertHead(b, levels[a]);
+            else if (op === "shift") removeHead(levels[a]);
+            else if (op === "pop") removeTail(levels[a]);
+            else if (op === "pushMany") storeMany(b, 0, b.length, levels[a]);
+            else if (op === "shiftMany") removeMany(new Array(a), 0, a);
+            else if (op === "insert") insertItem(a, b);
+            else if (op === "remove") removeItem(a);
+            else if (op === "set") replaceItem(a, b);
+            else if (op === "clear") clearItems();
+            else if (op === "close") closed = true;
+        }
+
+        // report how much memory the queue is using
+        function memoryStats() {
+            return {
+                length: items,
+                rings,
+                spareRings: pool.length,
+                ringSize,
+                capacity: (rings + pool.length) * ringSize
+            };
+        }
+
+        // copy as many items from an array as will fit onto the tail of the queue
+        function pushMany(source) {
+            if (this.closed) throw new Error("Queue is closed");
+
+            let before = items;
+            storeMany(source, 0, Math.min(source.length, this.free), levels[0]);
+            if (metrics) metrics.enqueued.tail += items - before;
+            changed.call(this, before);
+
+            return items - before;
+        }
+
+        // move as many items as are available from the head of the queue into an array
+        function shiftInto(target) {
+            expire.call(this);
+            let before = items;
+            removeMany(target, 0, target.length);
+            if (ringType === Array) {
+                for (let i = 0; i < before - items; i++) {
+                    delivered(target[i], true);
+                    target[i] = unwrap(target[i]);
+                }
+            } else if (metrics) metrics.dequeued.head += before - items;
+            changed.call(this, before);
+
+            return before - items;
+        }
+
+        // add many items to the tail of the queue at once, and return how many were added
+        function enqueueMany(values, options = {}) {
+            let opts = Object.assign({ transform: true, partial: false }, options);
+            let target = level(opts.priority, true);
+            if (this.closed) throw new Error("Queue is closed");
+
+            // apply transforms
+            values = Array.from(values);
+            if (opts.transform && transforms.length && !asyncTransforms) {
+                let results = [];
+                for (let value of values) {
+                    for (let r of transform.call(this, value)) results.push(r);
+                }
+                values = results;
+            }
+
+            // check available space, deciding what to do with each value which doesn't fit
+            // before anything is added, and stopping at the first one which can't be added
+            let separate = opts.transform && (asyncTransforms || windowing);
+            let keys = keyOf && !separate && new Set(); // keys which this batch will store
+            let count = keys ? 0 : Math.min(values.length, this.free);
+            let free = this.free - count;
+            let policies = [];
+            let ignored = 0;
+            for (; count < values.length; count++) {
+                let value = values[count];
+
+                // a value whose key is already queued takes up no more space
+                let k = keys && keyOf(value);
+                if (keys && (keyed.has(k) || keys.has(k))) {
+                    if (duplicates === "ignore") ignored++;
+                    continue;
+                }
+
+                if (free) free--;
+                else {
+                    let policy =
+                        typeof overflow === "function" ? overflow(value, this, true) : overflow;
+                    if (policy === "error") break;
+                    policies[count] = policy;
+                    if (policy === "discard") continue;
+                }
+                if (keys) keys.add(k);
+            }
+            if (count < values.length && !opts.partial) throw new Error("Queue is full");
+
+            // async transforms, windows & keys deal with each value separately
+            if (separate || keyOf) {
+                let item = Object.assign({}, opts, { transform: false, window: opts.transform });
+                let async = opts.transform && asyncTransforms;
+                let added = 0;
+                for (let i = 0; i < count; i++) {
+                    if (policies[i] === "discard") {
+                        makeSpace.call(this, values[i], true, "discard");
+                        continue;
+                    }
+                    let settings = policies[i]
+                        ? Object.assign({}, item, { overflow: policies[i] })
+                        : item;
+                    if (async) startJob.call(this, values[i], true, settings);
+                    else add.call(this, values[i], true, settings);
+                    added++;
+                }
+                return added - ignored;
+            }
+
+            // enqueue data, making space for anything which doesn't fit
+            if (metrics && ringType === Array) values = values.slice(0, count).map(stamp, this);
+            let before = items;
+            let stored = 0;
+            try {
+                let fits = Math.min(count, this.free);
+                storeMany(values, 0, fits, target);
+                stored = fits;
+                for (let i = fits; i < count; i++) {
+                    if (makeSpace.call(this, values[i], true, policies[i])) {
+                        insertTail(values[i], target);
+                        stored++;
+                    }
+                }
+            } finally {
+                if (metrics) metrics.enqueued.tail += stored;
+                changed.call(this, before);
+            }
+
+            return stored;
+        }
+
+        // remove up to n items from the head of the queue at once
+        function dequeueMany(n = items) {
+            expire.call(this);
+            let values = new Array(Math.max(Math.min(n, items), 0));
+            let before = items;
+            removeMany(values, 0, values.length);
+            values.forEach(value => delivered(value, true));
+            changed.call(this, before);
+
+            return values.map(unwrap);
+        }
+
+        // remove all items from the queue at once
+        function drain() {
+            return dequeueMany.call(this, items);
+        }
+
+        // get up to n items from the head of the queue without removing them
+        function peekMany(n = items) {
+            expire.call(this);
+            let values = new Array(Math.max(Math.min(n, items), 0));
+            let offset = 0;
+            for (let i = levels.length - 1; i >= 0 && offset < values.length; i--) {
+                for (
+                    let ring = levels[i].head;
+                    ring && offset < values.length;
+                    ring = ring._below
+                ) {
+                    offset += ring.peekInto(values, offset);
+                }
+            }
+
+            return values.map(unwrap);
+        }
+
+        // walk the stored items from head to tail (or tail to head) without removing them
+        function* walk(reverse) {
+            let expected = version;
+            for (let i = 0; i < levels.length; i++) {
+                let c = levels[reverse ? i : levels.length - 1 - i];
+                let ring = reverse ? c.tail : c.head;
+                for (; ring; ring = reverse ? ring._above : ring._below) {
+                    for (let value of reverse ? ring.reversed() : ring) {
+                        yield value;
+                        if (version !== expected) {
+                            throw new Error("Queue was modified during iteration");
+                        }
+                    }
+                }
+            }
+        }
+
+        // skip over expired items, and unwrap the rest
+        function* live(stored) {
+            let now = clock.now();
+            for (let value of stored) {
+                if (!(value instanceof Envelope && value.expires <= now)) yield unwrap(value);
+            }
+        }
+
+        // iterate over the items from head to tail
+        function values() {
+            return live(walk(false));
+        }
+
+        // iterate over the items from tail to head
+        function reversed() {
+            return live(walk(true));
+        }
+
+        // iterate over [index, item] pairs from head to tail
+        function* entries() {
+            let index = 0;
+            let now = clock.now();
+            for (let value of walk(false)) {
+                if (!(value instanceof Envelope && value.expires <= now))
+                    yield [index, unwrap(value)];
+                index++;
+            }
+        }
+
+        // call a function for every item, in the same way as Array.prototype.forEach()
+        function forEach(fn, thisArg) {
+            for (let [index, value] of entries()) fn.call(thisArg, value, index, this);
+        }
+
+        // find the first item which matches a function
+        function find(fn, thisArg) {
+            for (let [index, value] of entries()) {
+                if (fn.call(thisArg, value, index, this)) return value;
+            }
+        }
+
+        // check whether the queue contains a value
+        function includes(search) {
+            for (let value of values()) {
+                if (value === search || (value !== value && search !== search)) return true;
+            }
+            return false;
+        }
+
+        // copy all items into an array
+        function toArray() {
+            return peekMany.call(this);
+        }
+
+        // discard all items at once
+        function clear() {
+            let before = items;
+            clearItems();
+            changed.call(this, before);
+        }
+
+        // discard all items, without firing any events
+        function clearItems() {
+            for (let c of levels) {
+                for (; c.rings > 1; shrinkHead(c)) c.head.clear();
+                c.head.clear();
+                c.length = 0;
+            }
+            items = 0;
+            ++version;
+            keyed.clear();
+            record("clear");
+        }
+
+        // copy items from an array onto the tail of a ring chain, a ring at a time
+        function storeMany(source, start, end, c) {
+            let from = start;
+            while (start < end) {
+                if (!c.tail.free) growTail(c);
+                let n = c.tail.pushMany(source, start, end);
+                for (let i = start; i < start + n; i++) addKey(source[i]);
+                start += n;
+                c.length += n;
+                items += n;
+                ++version;
+            }
+            if (from < end && journal) {
+                record(
+                    "pushMany",
+                    levels.indexOf(c),
+                    Array.prototype.slice.call(source, from, end)
+                );
+            }
+        }
+
+        // move items from the head of the queue into an array, a ring at a time
+        function removeMany(target, offset, count) {
+            let start = offset;
+            let end = offset + Math.min(count, items);
+            while (offset < end) {
+                let c = first();
+                let n = c.head.shiftInto(target, offset, end - offset);
+                offset += n;
+                c.length -= n;
+                items -= n;
+                ++version;
+                shrinkHead(c);
+            }
+            for (let i = start; i < offset; i++) removeKey(target[i]);
+            if (offset > start) record("shiftMany", offset - start);
+        }
+
+        // add a stored item to the key index
+        function addKey(stored) {
+            if (!keyOf) return;
+            let k = keyOf(unwrap(stored));
+            let entry = keyed.get(k);
+            if (entry) {
+                entry.value = stored;
+                entry.count++;
+            } else keyed.set(k, { value: stored, count: 1 });
+        }
+
+        // remove a stored item from the key index, falling back to another item with the same
+        // key if there is one (which can only happen if items bypass deduplication)
+        function removeKey(stored) {
+            if (!keyOf) return;
+            let k = keyOf(unwrap(stored));
+            let entry = keyed.get(k);
+            if (!--entry.count) keyed.delete(k);
+            else if (entry.value === stored) {
+                for (let value of walk(false)) {
+                    if (keyOf(unwrap(value)) === k) entry.value = value;
+                }
+            }
+        }
+
+        // find the index of a stored item
+        function seek(stored) {
+            let i = 0;
+            for (let value of walk(false)) {
+                if (value === stored) return i;
+                i++;
+            }
+        }
+
+        // check whether the queue contains an item with a key
+        function has(k) {
+            expire.call(this);
+            return keyed.has(k);
+        }
+
+        // get the item with a key
+        function getByKey(k) {
+            expire.call(this);
+            let entry = keyed.get(k);
+            return entry && unwrap(entry.value);
+        }
+
+        // remove the item with a key, and return whether there was one
+        function deleteByKey(k) {
+            expire.call(this);
+            let entry = keyed.get(k);
+            if (!entry) return false;
+
+            removeItem(seek(entry.value));
+            changed.call(this, items + 1);
+            return true;
+        }
+
+        // remove an item from the head of the queue
+        function dequeue() {
+            expire.call(this);
+            if (!items) throw new Error("Queue is empty");
+
+            return shift.call(this, true);
+        }
+
+        // remove an item from the tail of the queue
+        function dequeueTail() {
+            expire.call(this);
+            if (!items) throw new Error("Queue is empty");
+
+            return shift.call(this, false);
+        }
+
+        // remove an item from either end of the queue, without checking for expired items
+        function shift(forward) {
+            let value = forward ? removeHead() : removeTail();
+            delivered(value, forward);
+
+            // fire events
+            changed.call(this, items + 1);
+
+            return unwrap(value);
+        }
+
+        // add an item once it is due, keeping space for it in the meantime
+        function schedule(value, forward, opts) {
+            level(opts.priority, forward);
+            if (this.closed) throw new Error("Queue is closed");
+            if (!accepting.call(this)) throw new Error("Queue is full");
+
+            let item = Object.assign({}, opts, { delay: undefined, at: undefined });
+            let due = opts.at === undefined ? clock.now() + opts.delay : +opts.at;
+            let timer = {};
+            timer.id = clock.setTimeout(() => {
+                --pending;
+                try {
+                    add.call(this, value, forward, item);
+                } catch (err) {
+                    fail.call(this, err, value, true);
+                } finally {
+                    timers.delete(timer);
+                }
+                if (this.closed) {
+                    this.emit("close", this);
+                    wake.call(this);
+                }
+            }, Math.max(due - clock.now(), 0));
+            timers.add(timer);
+            ++pending;
+            occupancy.call(this);
+            if (!this.free) this.emit("full", this);
+        }
+
+        // wrap an item which expires at a given time
+        function wrap(value, expires) {
+            if (ringType !== Array) throw new Error("Typed rings can't hold items which expire");
+            scheduleExpiry.call(this, expires);
+            return new Envelope(value, expires);
+        }
+
+        // check for expired items at a given time, unless there's already an earlier check
+        function scheduleExpiry(at) {
+            if (at >= nextExpiry) return;
+            if (expiryTimer !== undefined) clock.clearTimeout(expiryTimer);
+            nextExpiry = at;
+            expiryTimer = clock.setTimeout(() => {
+                expiryTimer = undefined;
+                if (clock.now() < nextExpiry) {
+                    nextExpiry = Infinity;
+                    scheduleExpiry.call(this, at);
+                } else expire.call(this);
+            }, Math.max(at - clock.now(), 0));
+            if (expiryTimer && expiryTimer.unref) expiryTimer.unref();
+        }
+
+        // remove every item which has expired, and schedule the next check
+        function expire() {
+            if (nextExpiry === Infinity) return; // nothing expires, so there's no need to check
+            let now = clock.now();
+            if (now < nextExpiry) return;
+
+            // find expired items, and the next time that an item will expire
+            let expired = [];
+            let next = Infinity;
+            let index = 0;
+            for (let value of walk(false)) {
+                if (value instanceof Envelope) {
+                    if (value.expires <= now) expired.push(index);
+                    else next = Math.min(next, value.expires);
+                }
+                index++;
+            }
+            if (expiryTimer !== undefined) clock.clearTimeout(expiryTimer);
+            expiryTimer = undefined;
+            nextExpiry = Infinity;
+            if (next < Infinity) scheduleExpiry.call(this, next);
+
+            // remove expired items, working backwards so that the indexes stay valid
+            let before = items;
+            let values = expired.reverse().map(index => removeItem(index).value);
+            changed.call(this, before);
+            values.reverse().forEach(value => this.emit("expire", value, this));
+        }
+    }
+
+    // rebuild a queue from a snapshot
+    static restore(data, options = {}) {
+        let state = (options.serializer || JSON_SERIALIZER).deserialize(data);
+        let settings = { priorities: state.levels.length, ringType: global[state.ringType] };
+        return new Spique(
+            state.size,
+            state.ringSize,
+            Object.assign(settings, options, { [RESTORE]: state })
+        );
+    }
+
+    // create a queue which is fed from a readable stream
+    static fromStream(stream, size = 0, ringSize = 1024) {
+        let s = new Spique(size, ringSize);
+        s.enqueue(stream, true);
+        return s;
+    }
+
+    // create a queue which is fed from a source
+    static from(source, options = {}) {
+        let s = combined(Spique, options);
+        s.enqueue(source, true);
+        return s;
+    }
+
+    // create a queue which is fed from several sources at once, in whatever order
+    // their items arrive
+    static merge(...args) {
+        let [sources, options] = combinatorArgs(args);
+        let s = combined(Spique, options);
+        sources.forEach(source => s.enqueue(source, true));
+        if (!sources.length) s.close();
+        return s;
+    }
+
+    // create a queue which is fed from each source in turn, once the previous one has finished
+    static concat(...args) {
+        let [sources, options] = combinatorArgs(args);
+        let s = combined(Spique, options);
+        let handles = sources.map((source, i) =>
+            s.enqueue(source, { source: true, paused: i > 0 })
+        );
+        handles.slice(1).forEach((handle, i) => handles[i].done.then(() => handle.resume()));
+        if (!sources.length) s.close();
+        return s;
+    }
+
+    // create a queue of arrays, each containing the next item from every source, which
+    // closes as soon as any of the sources finishes
+    static zip(...args) {
+        let [sources, options] = combinatorArgs(args);
+        return generate(combined(Spique, options), sources, async function*(iterators) {
+            while (iterators.length) {
+                let results = await Promise.all(iterators.map(iterator => iterator.next()));
+                if (results.some(result => result.done)) return;
+                yield results.map(result => result.value);
+            }
+        });
+    }
+
+    // create a queue which is fed with one item from each source in turn, skipping any
+    // sources which have finished
+    static roundRobin(...args) {
+        let [sources, options] = combinatorArgs(args);
+        return generate(combined(Spique, options), sources, async function*(iterators) {
+            while (iterators.length) {
+                for (let iterator of iterators.slice()) {
+                    let result = await iterator.next();
+                    if (result.done) iterators.splice(iterators.indexOf(iterator), 1);
+                    else yield result.value;
+                }
+            }
+        });
     }
 };
@@ -0,0 +1,108 @@
+/*                                 ISC License
+ *
+ * Copyright (c) 2016-2020, Erayd LTD
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+ * REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ * FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT, INDIRECT,
+ * OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS OF USE,
+ * DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS
+ * ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
+ */
+
+"use strict";
+const stream = require("stream");
+
+// stream options for draining a queue via the read side of a stream
+function reader(queue) {
+    var target;
+    var reading = false;
+    var pumping = false;
+
+    // push as many items as the stream will accept
+    function pump() {
+        if (!target || pumping) return;
+        pumping = true;
+        while (reading && queue.available && !queue.paused) {
+            reading = target.push(queue.dequeue());
+        }
+        pumping = false;
+        if (queue.closed) {
+            detach();
+            target.push(null);
+        }
+    }
+
+    // stop watching the queue
+    function detach() {
+        queue.removeListener("data", pump);
+        queue.removeListener("close", pump);
+    }
+
+    queue.on("data", pump);
+    queue.on("close", pump);
+
+    return {
+        read() {
+            target = this;
+            reading = true;
+            pump();
+        },
+        destroy(err, callback) {
+            detach();
+            callback(err);
+        }
+    };
+}
+
+// stream options for filling a queue via the write side of a stream
+function writer(queue) {
+    return {
+        write(chunk, encoding, callback) {
+            let feed = () => {
+                if (!queue.free) return queue.once("free", feed);
+                try {
+                    queue.enqueue(chunk);
+                } catch (err) {
+                    return callback(err);
+                }
+                callback();
+            };
+            feed();
+        },
+        final(callback) {
+            queue.close();
+            callback();
+        }
+    };
+}
+
+// destroy a stream if its queue is aborted
+function abortable(queue, target) {
+    let destroy = reason => target.destroy(reason);
+    queue.on("abort", destroy);
+    target.once("close", () => queue.removeListener("abort", destroy));
+    return target;
+}
+
+// get a readable stream which drains the queue
+module.exports.readable = function(queue, options = {}) {
+    let opts = Object.assign({ objectMode: true }, options, reader(queue));
+    return abortable(queue, new stream.Readable(opts));
+};
+
+// get a writable stream which fills the queue
+module.exports.writable = function(queue, options = {}) {
+    let opts = Object.assign({ objectMode: true }, options, writer(queue));
+    return abortable(queue, new stream.Writable(opts));
+};
+
+// get a duplex stream which fills the queue on one side & drains it on the other
+module.exports.duplex = function(queue, options = {}) {
+    let opts = Object.assign({ objectMode: true }, options, reader(queue), writer(queue));
+    return abortable(queue, new stream.Duplex(opts));
+};
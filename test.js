@@ -6,6 +6,40 @@ const events = require("events");
 const Spique = require("./spique.js");
 const GeneratorFunction = function*() {}.prototype.constructor;
 
+// async tests, which must all finish for the run to pass
+const tests = [];
+const test = fn => tests.push(fn());
+
+// wait until everything which is already waiting to run on the event loop has run
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// a fake clock, which only moves when told to, and whose timers only fire once they are due
+const fakeClock = () => {
+    let clock = {
+        time: 0,
+        timers: [],
+        now: () => clock.time,
+        setTimeout: (fn, ms) => {
+            let timer = { fn, ms, at: clock.time + ms };
+            clock.timers.push(timer);
+            return timer;
+        },
+        clearTimeout: timer => {
+            if (clock.timers.includes(timer)) clock.timers.splice(clock.timers.indexOf(timer), 1);
+        },
+        // move the time forward, and fire any timers which are now due
+        advance: ms => {
+            clock.time += ms;
+            let due = clock.timers.filter(timer => timer.at <= clock.time);
+            clock.timers = clock.timers.filter(timer => timer.at > clock.time);
+            due.sort((a, b) => a.at - b.at).forEach(timer => timer.fn());
+        },
+        // fire the oldest timer straight away, whether or not it's due
+        fire: () => clock.timers.shift().fn()
+    };
+    return clock;
+};
+
 // create (defaults)
 {
     let s = new Spique();
@@ -303,3 +337,1513 @@ const GeneratorFunction = function*() {}.prototype.constructor;
     assert(s.dequeue() === 1);
     assert(s.dequeueTail() === 7);
 }
+
+// take & async iterator
+test(async () => {
+    // take immediately
+    let s = new Spique();
+    s.enqueue(1);
+    assert((await s.take()) === 1);
+    assert(s.length === 0);
+
+    // wait for data, one item per taker
+    let taken = [s.take(), s.take()];
+    s.enqueue(2);
+    s.enqueue(3);
+    s.enqueue(4);
+    assert((await taken[0]) === 2);
+    assert((await taken[1]) === 3);
+    assert(s.length === 1);
+
+    // reject once closed & drained
+    s.close();
+    assert((await s.take()) === 4);
+    try {
+        await s.take();
+        assert(false);
+    } catch (err) {
+        assert(err.message === "Queue is closed");
+    }
+
+    // reject pending takers on close
+    let s2 = new Spique();
+    let pending = s2.take();
+    s2.close();
+    try {
+        await pending;
+        assert(false);
+    } catch (err) {
+        assert(err.message === "Queue is closed");
+    }
+
+    // async iteration across empty periods
+    let s3 = new Spique();
+    let results = [];
+    let done = (async () => {
+        for await (let value of s3) results.push(value);
+    })();
+    s3.enqueue(1);
+    await Promise.resolve();
+    s3.enqueue(2);
+    await tick();
+    assert(results.length === 2);
+    s3.enqueue(3);
+    s3.close();
+    await done;
+    assert(results.join() === "1,2,3");
+    assert(s3.closed === true);
+});
+
+// streams
+test(async () => {
+    const stream = require("stream");
+
+    // readable (object mode)
+    let s = new Spique();
+    for (let i = 0; i < 5; i++) s.enqueue(i);
+    let readable = s.toReadable();
+    let results = [];
+    let ended = new Promise(resolve => readable.on("end", resolve));
+    readable.on("data", value => results.push(value));
+    await tick();
+    assert(results.join() === "0,1,2,3,4");
+    assert(s.length === 0);
+    s.enqueue(5);
+    s.close();
+    await ended;
+    assert(results.join() === "0,1,2,3,4,5");
+
+    // readable (buffer mode)
+    let s2 = new Spique();
+    s2.enqueue(Buffer.from("abc"));
+    s2.enqueue(Buffer.from("def"));
+    s2.close();
+    let chunks = [];
+    for await (let chunk of s2.toReadable({ objectMode: false })) chunks.push(chunk);
+    assert(Buffer.concat(chunks).toString() === "abcdef");
+
+    // writable, with backpressure from a full queue
+    let s3 = new Spique(2);
+    let writable = s3.toWritable();
+    let finished = new Promise(resolve => writable.on("finish", resolve));
+    for (let i = 0; i < 5; i++) writable.write(i);
+    writable.end();
+    await tick();
+    assert(s3.length === 2);
+    assert(s3.closed === false);
+    let written = [];
+    while (!s3.closed) {
+        if (s3.length) written.push(s3.dequeue());
+        else await tick();
+    }
+    await finished;
+    assert(written.join() === "0,1,2,3,4");
+
+    // fromStream, reading only while there is space
+    let s4 = Spique.fromStream(stream.Readable.from([1, 2, 3, 4, 5]), 2);
+    await new Promise(resolve => s4.on("full", resolve));
+    await tick();
+    assert(s4.length === 2);
+    let read = [];
+    for await (let value of s4) read.push(value);
+    assert(read.join() === "1,2,3,4,5");
+    assert(s4.closed === true);
+
+    // a stream which fails aborts the queue
+    let failing = new stream.Readable({ objectMode: true, read() {} });
+    let s6 = Spique.fromStream(failing);
+    failing.destroy(new Error("Broken stream"));
+    await assert.rejects(s6.take(), /Broken stream/);
+    assert(s6.aborted && s6.closed);
+
+    // duplex (buffer mode) through a transform
+    let s5 = new Spique();
+    s5.transform(chunk => Buffer.from(chunk.toString().toUpperCase()));
+    let duplex = s5.toDuplex({ objectMode: false });
+    let output = [];
+    duplex.on("data", chunk => output.push(chunk));
+    await new Promise((resolve, reject) =>
+        stream.pipeline(stream.Readable.from(["abc", "def"]), duplex, err =>
+            err ? reject(err) : resolve()
+        )
+    );
+    assert(Buffer.concat(output).toString() === "ABCDEF");
+});
+
+// overflow policies
+{
+    // default
+    assert.throws(() => new Spique(1, 1024, { overflow: "nope" }));
+    let s = new Spique(1);
+    s.enqueue(1);
+    assert.throws(() => s.enqueue(2), /Queue is full/);
+
+    // evict from the opposite end
+    let dropped = [];
+    let full = 0;
+    let s2 = new Spique(3, 2, { overflow: "evict" });
+    s2.on("drop", (value, queue) => {
+        assert(queue === s2);
+        dropped.push(value);
+    });
+    s2.on("full", () => full++);
+    for (let i = 1; i <= 5; i++) s2.enqueue(i);
+    assert(dropped.join() === "1,2");
+    assert(full === 1);
+    assert(s2.length === 3);
+    assert(s2.peek() === 3);
+    s2.enqueueHead(0);
+    assert(dropped.join() === "1,2,5");
+    assert(s2.peek() === 0);
+    assert(s2.peekTail() === 4);
+
+    // discard the incoming value
+    dropped = [];
+    let s3 = new Spique(2, 1024, { overflow: "discard" });
+    s3.on("drop", value => dropped.push(value));
+    for (let i = 1; i <= 4; i++) s3.enqueue(i);
+    s3.enqueueHead(0);
+    assert(dropped.join() === "3,4,0");
+    assert(s3.peek() === 1);
+    assert(s3.peekTail() === 2);
+
+    // policy function
+    let calls = [];
+    let s4 = new Spique(1, 1024, {
+        overflow: (value, queue, forward) => {
+            assert(queue === s4);
+            calls.push([value, forward]);
+            return value % 2 ? "discard" : "evict";
+        }
+    });
+    s4.enqueue(1);
+    s4.enqueue(2);
+    s4.enqueueHead(3);
+    assert(calls.join(";") === "2,true;3,false");
+    assert(s4.dequeue() === 2);
+
+    // sources wait for space when a policy function chooses "error"
+    dropped = [];
+    let s6 = new Spique(2, 1024, { overflow: value => (value === "x" ? "discard" : "error") });
+    s6.on("drop", value => dropped.push(value));
+    s6.enqueue([1, 2, 3, "x", 4], true);
+    assert(s6.length === 2 && events.EventEmitter.listenerCount(s6, "free") === 1);
+    assert(s6.dequeue() === 1 && s6.peekTail() === 3);
+    assert(s6.dequeue() === 2 && s6.peekTail() === 4 && dropped.join() === "x");
+    assert(s6.drain().join() === "3,4");
+
+    // sources & transforms keep feeding
+    dropped = [];
+    let s5 = new Spique(2, 1024, { overflow: "evict" });
+    s5.on("drop", value => dropped.push(value));
+    s5.enqueue([1, 2, 3, 4], true);
+    assert(dropped.join() === "1,2");
+    s5.transform(function*(n) {
+        yield n;
+        yield n * 10;
+    });
+    s5.enqueue(5);
+    assert(dropped.join() === "1,2,3,4");
+    assert(s5.dequeue() === 5);
+    assert(s5.dequeue() === 50);
+}
+
+// indexed access
+{
+    // ringbuffer
+    const RingBuffer = require("./ringbuffer.js");
+    let r = new RingBuffer(5);
+    r.push(2);
+    r.push(4);
+    r.unshift(1);
+    r.insert(2, 3);
+    r.insert(4, 5);
+    assert(r.get(0) === 1 && r.get(4) === 5);
+    assert.throws(() => r.insert(0, 0), /Buffer is full/);
+    assert(r.remove(1) === 2);
+    assert(r.remove(3) === 5);
+    r.set(0, 0);
+    assert([0, 1, 2].map(i => r.get(i)).join() === "0,3,4");
+    assert.throws(() => r.get(3), /Index out of range/);
+
+    // queue
+    let s = new Spique(8, 2);
+    for (let i = 0; i < 6; i++) s.enqueue(i);
+    assert(s.at(0) === 0);
+    assert(s.at(3) === 3);
+    assert(s.at(-1) === 5);
+    assert.throws(() => s.at(6), /Index out of range/);
+    assert.throws(() => s.at(-7), /Index out of range/);
+    s.set(-2, "four");
+    assert(s.at(4) === "four");
+    s.insertAt(3, "a");
+    s.insertAt(-1, "b");
+    assert(s.length === 8);
+    assert.throws(() => s.insertAt(0, "c"), /Queue is full/);
+    assert(s.removeAt(1) === 1);
+    assert(s.removeAt(-3) === "four");
+    assert(s.splice(1, 2, "x", "y", "z").join() === "2,a");
+    let values = [];
+    while (s.length) values.push(s.dequeue());
+    assert(values.join() === "0,x,y,z,3,b,5");
+
+    // events only fire for real state changes
+    let fired = [];
+    let s2 = new Spique(3, 2);
+    s2.enqueue(1);
+    s2.enqueue(3);
+    for (let ev of ["data", "full", "empty", "free"]) s2.on(ev, () => fired.push(ev));
+    fired = [];
+    s2.insertAt(1, 2);
+    s2.set(0, 0);
+    assert(s2.splice(0, 1, "a").join() === "0");
+    assert(fired.join() === "full");
+    assert(s2.removeAt(1) === 2);
+    assert(s2.splice(0).join() === "a,3");
+    assert(fired.join() === "full,free,empty,free");
+}
+
+// async transforms
+test(async () => {
+    let sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // results keep their input order, with limited concurrency
+    let s = new Spique(10);
+    let active = 0;
+    let peak = 0;
+    s.transform(
+        async n => {
+            peak = Math.max(peak, ++active);
+            await sleep(n % 2 ? 10 : 1);
+            active--;
+            return n * 10;
+        },
+        { concurrency: 3 }
+    );
+    for (let i = 0; i < 6; i++) s.enqueue(i);
+    assert(s.length === 0);
+    assert(s.free === 4);
+    let results = [];
+    for (let i = 0; i < 6; i++) results.push(await s.take());
+    assert(results.join() === "0,10,20,30,40,50");
+    assert(peak === 3);
+    await tick();
+    assert(s.free === 10);
+
+    // async generators, mixed with sync transforms & rejection
+    let open;
+    let gate = new Promise(resolve => (open = resolve));
+    let s2 = new Spique();
+    s2.transform(n => n + 1);
+    s2.transform(async function*(n) {
+        await gate;
+        yield n;
+        yield -n;
+    });
+    s2.transform(async (n, reject) => {
+        if (n === 3) reject();
+        return n;
+    });
+    s2.enqueue(1);
+    s2.enqueue(2);
+    s2.enqueueHead(5);
+    s2.close();
+    assert(s2.closed === false && s2.length === 0);
+    open();
+    await tick();
+    assert(s2.length === 5);
+    results = [];
+    for await (let value of s2) results.push(value);
+    assert(results.join() === "-6,6,2,-2,-3");
+
+    // in-flight transforms count against free
+    let s3 = new Spique(2);
+    let full = false;
+    s3.on("full", () => (full = true));
+    s3.transform(async n => n);
+    s3.enqueue(1);
+    s3.enqueue(2);
+    assert(full === true);
+    assert(s3.free === 0);
+    assert.throws(() => s3.enqueue(3), /Queue is full/);
+    assert((await s3.take()) === 1);
+
+    // when every slot is held by a value which isn't stored yet (being transformed, delayed
+    // or reserved), there's nothing to evict, so the incoming value is dropped instead
+    let drops = [];
+    let s4 = new Spique(1, 2, { overflow: "evict" });
+    s4.on("drop", value => drops.push(value));
+    s4.transform(async n => n);
+    s4.enqueue(1);
+    s4.enqueue(2);
+    await tick();
+    assert(s4.toArray().join() === "2" && drops.join() === "1");
+    let clock = fakeClock();
+    let s5 = new Spique(1, 2, { clock, overflow: "evict" });
+    s5.on("drop", value => drops.push(value));
+    s5.enqueue(3, { delay: 5 });
+    s5.enqueue(4);
+    clock.advance(5);
+    assert(s5.toArray().join() === "3" && drops.join() === "1,4");
+    let s6 = new Spique(1, 2, { overflow: "evict" });
+    s6.on("drop", value => drops.push(value));
+    s6.enqueue(5);
+    s6.reserve();
+    s6.enqueue(6);
+    assert(s6.length === 1 && !s6.available && drops.join() === "1,4,6");
+});
+
+// errors & abort
+test(async () => {
+    let errors = [];
+
+    // sync transforms
+    let s = new Spique();
+    s.on("error", (err, value, queue) => {
+        assert(queue === s);
+        errors.push([err.message, value]);
+    });
+    s.transform(n => {
+        if (n === 2) throw new Error("two");
+        return n;
+    });
+    s.enqueue(1);
+    s.enqueue(2);
+    s.enqueue(3);
+    assert(errors.join() === "two,2");
+    assert(s.length === 2);
+
+    // async transforms, with a dead letter queue
+    let dead = new Spique();
+    let s2 = new Spique(0, 1024, { deadLetter: dead });
+    s2.transform(async n => {
+        if (n % 2) throw new Error("odd");
+        return n;
+    });
+    for (let i = 0; i < 4; i++) s2.enqueue(i);
+    assert((await s2.take()) === 0);
+    assert((await s2.take()) === 2);
+    assert((await dead.take()) === 1);
+    assert((await dead.take()) === 3);
+
+    // async sources
+    errors = [];
+    let source = (async function*() {
+        yield 1;
+        throw new Error("source");
+    })();
+    s.enqueue(source, true);
+    await tick();
+    assert(errors.length === 1);
+    assert(errors[0][0] === "source");
+    assert(errors[0][1] === source);
+
+    // abort
+    let reason = new Error("aborted");
+    let s3 = new Spique();
+    let s4 = new Spique();
+    s4.enqueue(s3, true);
+    s3.enqueue(1);
+    s4.enqueue(2);
+    let taken = s4.take();
+    let taken2 = s4.take();
+    let iterated = (async () => {
+        for await (let noop of s4);
+    })();
+    s3.abort(reason);
+    assert(s3.aborted === true);
+    assert(s3.closed === true);
+    assert(s4.aborted === true);
+    assert(s4.length === 0);
+    assert((await taken) === 1);
+    assert((await taken2) === 2);
+    for (let p of [iterated, s4.take()]) {
+        try {
+            await p;
+            assert(false);
+        } catch (err) {
+            assert(err === reason);
+        }
+    }
+    let seen;
+    s4.on("abort", (err, queue) => (seen = err));
+    assert(seen === reason);
+    assert.throws(() => s4.enqueue(3), /Queue is closed/);
+
+    // errors in the background abort the queue if nothing is listening for them
+    let s5 = new Spique();
+    s5.transform(async () => {
+        throw new Error("background");
+    });
+    let waiting = s5.take();
+    s5.enqueue(1);
+    await assert.rejects(waiting, /background/);
+    assert(s5.aborted);
+    let s6 = new Spique();
+    s6.enqueue(
+        (async function*() {
+            throw new Error("broken source");
+        })(),
+        true
+    );
+    await assert.rejects(s6.take(), /broken source/);
+});
+
+// source handles
+test(async () => {
+    // pause, resume & detach
+    let s = new Spique();
+    let handle = s.enqueue([1, 2, 3], true);
+    assert((await handle.done) === true);
+    let source = (function*() {
+        for (let i = 0; ; i++) yield i;
+    })();
+    let s2 = new Spique(2);
+    handle = s2.enqueue(source, true);
+    assert(s2.length === 2);
+    handle.pause();
+    assert(handle.paused === true);
+    s2.dequeue();
+    s2.dequeue();
+    assert(s2.length === 0);
+    handle.resume();
+    assert(s2.length === 2);
+    assert(s2.dequeue() === 2);
+    assert(events.EventEmitter.listenerCount(s2, "free") === 1);
+    handle.detach();
+    assert(events.EventEmitter.listenerCount(s2, "free") === 0);
+    assert((await handle.done) === false);
+    assert(source.next().done === true);
+    assert(s2.dequeue() === 3);
+    assert(s2.length === 1);
+
+    // chained queues don't pile up listeners while the target is full
+    let upstream = new Spique();
+    let downstream = new Spique(1);
+    handle = downstream.enqueue(upstream, true);
+    upstream.enqueue("first");
+    for (let i = 0; i < 5; i++) {
+        upstream.enqueue(i);
+        assert(upstream.dequeueTail() === i);
+    }
+    assert(downstream.peek() === "first");
+    assert(events.EventEmitter.listenerCount(downstream, "free") === 1);
+    assert(events.EventEmitter.listenerCount(upstream, "data") === 1);
+    handle.detach();
+    assert(events.EventEmitter.listenerCount(downstream, "free") === 0);
+    assert(events.EventEmitter.listenerCount(upstream, "data") === 0);
+
+    // sync transform results wait in line without any listeners, & a full queue refuses
+    // more values in the same way as for async transforms
+    let s5 = new Spique(1);
+    s5.transform(function*(n) {
+        yield n;
+        yield n * 10;
+    });
+    s5.enqueue(1);
+    for (let i = 0; i < 15; i++) assert.throws(() => s5.enqueue(i), /Queue is full/);
+    assert(events.EventEmitter.listenerCount(s5, "free") === 0);
+    assert(s5.dequeue() === 1 && s5.dequeue() === 10 && !s5.length);
+
+    // close once all sources have ended
+    let s3 = new Spique(0, 1024, { autoClose: true });
+    let s4 = new Spique();
+    s3.enqueue([1, 2], true);
+    s3.enqueue(s4, true);
+    s3.enqueue(
+        (async function*() {
+            yield 3;
+        })(),
+        true
+    );
+    s4.enqueue(4);
+    s4.close();
+    let results = [];
+    for await (let value of s3) results.push(value);
+    assert(results.sort().join() === "1,2,3,4");
+
+    // aborting detaches every source
+    let finished = false;
+    let s6 = new Spique(1);
+    let generated = s6.enqueue(
+        (function*() {
+            try {
+                for (let i = 0; ; i++) yield i;
+            } finally {
+                finished = true;
+            }
+        })(),
+        true
+    );
+    let chained = s6.enqueue(upstream, true);
+    s6.abort();
+    assert((await generated.done) === false && (await chained.done) === false && finished);
+    assert(events.EventEmitter.listenerCount(upstream, "data") === 0);
+});
+
+// tee
+test(async () => {
+    // every subscriber gets every item, and the slowest one sets the pace
+    let s = new Spique(2);
+    let [a, b] = s.tee(2, { lag: 2 });
+    s.enqueue([1, 2, 3, 4, 5, 6, 7], true);
+    assert(a.length === 2 && b.length === 2);
+    assert(s.length === 2);
+    assert(a.dequeue() === 1);
+    assert(a.dequeue() === 2);
+    assert(a.length === 0);
+    assert(b.dequeue() === 1);
+    assert(a.length === 1 && b.length === 2);
+    let results = [];
+    let drained = (async () => {
+        for await (let value of a) results.push(value);
+    })();
+    let results2 = [];
+    for (let i = 0; i < 4; i++) results2.push(await b.take());
+    s.close();
+    for await (let value of b) results2.push(value);
+    await drained;
+    assert(results.join() === "3,4,5,6,7");
+    assert(results2.join() === "2,3,4,5,6,7");
+
+    // lagging subscribers drop items rather than holding everything up
+    let s2 = new Spique();
+    let [fast, slow] = s2.tee(2, { lag: 2, overflow: "evict" });
+    let dropped = [];
+    slow.on("drop", value => dropped.push(value));
+    for (let i = 0; i < 5; i++) {
+        s2.enqueue(i);
+        assert(fast.dequeue() === i);
+    }
+    assert(s2.length === 0);
+    assert(dropped.join() === "0,1,2");
+    assert(slow.dequeue() === 3);
+
+    // aborted subscribers stop taking part, and abort propagates
+    let s3 = new Spique(1);
+    let [c, d] = s3.tee(2, { lag: 1 });
+    s3.enqueue(1);
+    s3.enqueue(2);
+    assert(c.dequeue() === 1);
+    assert(s3.length === 1);
+    d.abort();
+    assert(s3.length === 0);
+    assert(c.peek() === 2);
+    s3.abort(new Error("stop"));
+    assert(c.aborted === true);
+});
+
+// priority levels
+{
+    assert.throws(() => new Spique(0, 1024, { priorities: 0 }), /Invalid number/);
+    let s = new Spique(6, 2, { priorities: 3 });
+    assert(s.priorities === 3);
+    s.enqueue("low");
+    s.enqueue("high", { priority: 2 });
+    s.enqueue("mid", { priority: 1 });
+    s.enqueue("high2", { priority: 2 });
+    s.enqueueHead("first");
+    s.enqueueHead("mid0", { priority: 1 });
+    assert.throws(() => s.enqueue("x", { priority: 3 }), /Invalid priority/);
+    assert(s.length === 6);
+    assert(s.free === 0);
+    assert(s.peek() === "first");
+    assert(s.peekTail() === "low");
+    assert(s.at(3) === "mid0");
+    assert(s.dequeueTail() === "low");
+    assert(s.dequeueTail() === "mid");
+    let values = [];
+    for (let value of s) values.push(value);
+    assert(values.join() === "first,high,high2,mid0");
+
+    // sources & transforms keep the priority
+    s.transform(n => n * 2);
+    s.enqueue([1, 2], { source: true, priority: 0 });
+    s.enqueue([3, 4], { source: true, priority: 2 });
+    s.enqueue(5, { priority: 1 });
+    s.enqueue(6, { priority: 1, transform: false });
+    values = [];
+    for (let value of s) values.push(value);
+    assert(values.join() === "6,8,10,6,2,4");
+}
+
+// typed array rings & bulk copies
+{
+    assert.throws(() => new Spique(0, 4, { ringType: Object }), /Invalid ring type/);
+    let s = new Spique(10, 4, { ringType: Float64Array });
+    assert(s.ringType === Float64Array);
+    s.enqueue(0.5);
+    s.enqueueHead(-0.5);
+    let input = new Float64Array(12).map((v, i) => i + 1);
+    assert(s.pushMany(input) === 8);
+    assert(s.length === 10);
+    assert(s.at(2) === 1);
+    assert(s.peekTail() === 8);
+    let output = new Float64Array(7);
+    assert(s.shiftInto(output) === 7);
+    assert(output.join() === "-0.5,0.5,1,2,3,4,5");
+    assert(s.length === 3);
+    assert(s.shiftInto(output) === 3);
+    assert(output.subarray(0, 3).join() === "6,7,8");
+    assert(s.length === 0);
+
+    // plain arrays work too
+    let s2 = new Spique(0, 3);
+    assert(s2.pushMany([1, 2, 3, 4, 5]) === 5);
+    let out = new Array(4);
+    assert(s2.shiftInto(out) === 4);
+    assert(out.join() === "1,2,3,4");
+    assert(s2.dequeue() === 5);
+
+    // ring buffers copy across the wrap point
+    const RingBuffer = require("./ringbuffer.js");
+    let r = new RingBuffer(4, Int32Array);
+    r.push(1);
+    r.push(2);
+    r.shift();
+    r.shift();
+    assert(r.pushMany(new Int32Array([3, 4, 5, 6, 7])) === 4);
+    let into = new Int32Array(6);
+    assert(r.shiftInto(into, 1) === 4);
+    assert(into.join() === "0,3,4,5,6,0");
+}
+
+// ring pool, resizing & memory stats
+{
+    assert.throws(() => new Spique(0, 2, { spareRings: 2, maxSpareRings: 1 }), /spare rings/);
+    let s = new Spique(0, 2, { spareRings: 1, maxSpareRings: 3 });
+    let stats = s.memoryStats();
+    assert(stats.rings === 1 && stats.spareRings === 0 && stats.capacity === 2);
+    for (let i = 0; i < 10; i++) s.enqueue(i);
+    assert(s.memoryStats().rings === 5);
+
+    // empty rings are kept for reuse, until there are too many of them
+    for (let i = 0; i < 6; i++) s.dequeue();
+    stats = s.memoryStats();
+    assert(stats.rings === 2 && stats.spareRings === 3);
+    s.dequeue();
+    s.dequeue();
+    stats = s.memoryStats();
+    assert(stats.rings === 1 && stats.spareRings === 1);
+    assert(stats.length === 2 && stats.capacity === 4);
+    for (let i = 0; i < 4; i++) s.enqueueHead(i);
+    assert(s.memoryStats().spareRings === 0);
+    assert(s.length === 6 && s.peek() === 3 && s.peekTail() === 9);
+
+    // resize
+    assert.throws(() => s.resize(-1), /Invalid size/);
+    let fired = [];
+    s.on("full", () => fired.push("full"));
+    s.on("free", () => fired.push("free"));
+    fired = [];
+    s.resize(6);
+    assert(s.size === 6 && s.free === 0);
+    s.resize(4);
+    assert(s.free === 0);
+    s.dequeue();
+    s.dequeue();
+    assert(s.free === 0);
+    s.resize(10);
+    assert(s.free === 6);
+    s.resize(0);
+    assert(s.free === Number.MAX_SAFE_INTEGER - 4);
+    assert(fired.join() === "full,free");
+}
+
+// batch enqueue & dequeue
+{
+    let s = new Spique(10, 4);
+    let fired = [];
+    for (let e of ["data", "full", "empty", "free"]) s.on(e, () => fired.push(e));
+    fired = [];
+    assert(s.enqueueMany(new Set([1, 2, 3, 4, 5, 6])) === 6);
+    assert(fired.join() === "data");
+    assert.throws(() => s.enqueueMany([7, 8, 9, 10, 11]), /Queue is full/);
+    assert(s.length === 6);
+    assert(s.enqueueMany([7, 8, 9, 10, 11], { partial: true }) === 4);
+    assert(fired.join() === "data,full");
+    assert(s.peekMany(3).join() === "1,2,3");
+    assert(s.peekMany().join() === "1,2,3,4,5,6,7,8,9,10");
+    assert(s.length === 10);
+
+    fired = [];
+    assert(s.dequeueMany(5).join() === "1,2,3,4,5");
+    assert(fired.join() === "free");
+    assert(s.drain().join() === "6,7,8,9,10");
+    assert(fired.join() === "free,empty,free");
+    assert(s.dequeueMany(5).length === 0 && s.drain().length === 0);
+    assert(fired.length === 3);
+
+    // transforms, overflow & priorities
+    let s2 = new Spique(4, 2, { overflow: "evict", priorities: 2 });
+    let dropped = [];
+    s2.on("drop", value => dropped.push(value));
+    s2.transform(function*(value) {
+        if (value % 2) yield value, yield value;
+    });
+    assert(s2.enqueueMany([1, 2, 3, 4, 5]) === 6);
+    assert(s2.peekMany().join() === "3,3,5,5" && dropped.join() === "1,1");
+    s2.enqueueMany([7], { priority: 1 });
+    assert(s2.peekMany().join() === "7,3,5,5");
+    s2.enqueueMany([2, 4], { transform: false });
+    assert(s2.drain().join() === "5,5,2,4");
+    s2.close();
+    assert.throws(() => s2.enqueueMany([1]), /Queue is closed/);
+
+    // overflow functions decide about every value which doesn't fit before anything is
+    // added, and only the values which are stored are counted
+    let s3 = new Spique(2, 2, { overflow: value => (value === "x" ? "error" : "discard") });
+    assert.throws(() => s3.enqueueMany([1, 2, 3, "x"]), /Queue is full/);
+    assert(s3.length === 0);
+    assert(s3.enqueueMany([1, 2, 3, 4, "x"], { partial: true }) === 2);
+    assert(s3.toArray().join() === "1,2" && s3.enqueueMany([5]) === 0);
+}
+
+// non-destructive iteration
+{
+    let s = new Spique(0, 2, { priorities: 2 });
+    for (let i = 1; i <= 5; i++) s.enqueue(i);
+    s.enqueue(0, { priority: 1 });
+    assert([...s.values()].join() === "0,1,2,3,4,5");
+    assert([...s.reversed()].join() === "5,4,3,2,1,0");
+    assert([...s.entries()].join("|") === "0,0|1,1|2,2|3,3|4,4|5,5");
+    assert(s.toArray().join() === "0,1,2,3,4,5" && s.length === 6);
+    let seen = [];
+    s.forEach((value, index, queue) => seen.push(index + ":" + value) && assert(queue === s));
+    assert(seen.join() === "0:0,1:1,2:2,3:3,4:4,5:5");
+    assert(s.find(value => value > 2) === 3 && s.find(value => value > 5) === undefined);
+    assert(s.includes(4) && !s.includes(6) && !s.includes("4"));
+    s.enqueue(NaN);
+    assert(s.includes(NaN));
+
+    // iterators fail if the queue changes underneath them
+    let it = s.values();
+    it.next();
+    s.set(0, 10);
+    assert.throws(() => it.next(), /modified during iteration/);
+    assert.throws(() => s.forEach(() => s.dequeue()), /modified during iteration/);
+    assert.throws(() => {
+        for (let value of s.reversed()) s.enqueue(value);
+    }, /modified during iteration/);
+
+    // clear
+    let fired = [];
+    s.on("empty", () => fired.push("empty"));
+    s.on("close", () => fired.push("close"));
+    s.close();
+    s.clear();
+    assert(s.length === 0 && s.closed && fired.join() === "empty,close");
+    assert(s.memoryStats().rings === 2 && [...s.values()].length === 0);
+}
+
+// snapshots & journals
+{
+    let s = new Spique(10, 2, { priorities: 2 });
+    s.enqueueMany([1, 2, 3]);
+    s.enqueueHead(0);
+    s.enqueue(9, { priority: 1 });
+    s.close();
+    let s2 = Spique.restore(s.snapshot());
+    assert(s2.toArray().join() === "0,9,1,2,3");
+    assert(s2.size === 10 && s2.ringSize === 2 && s2.priorities === 2);
+    s2.drain();
+    assert(s2.closed);
+
+    // custom serialization
+    let serializer = {
+        serialize: state => ({ state }),
+        deserialize: data => data.state
+    };
+    let s3 = new Spique(0, 4, { ringType: Float64Array });
+    s3.enqueueMany([1.5, 2.5]);
+    let s4 = Spique.restore(s3.snapshot({ serializer }), { serializer });
+    assert(s4.ringType === Float64Array && s4.toArray().join() === "1.5,2.5" && !s4.closed);
+
+    // journals are replayed, and compacted once they grow too long
+    const fs = require("fs");
+    let path = require("path").join(require("os").tmpdir(), `spique-${process.pid}.journal`);
+    let open = () => new Spique(0, 2, { journal: path, compactEvery: 5, priorities: 2 });
+    let j = open();
+    j.enqueueMany([1, 2, 3, 4, 5]);
+    j.enqueueHead(0);
+    j.enqueue(10, { priority: 1 });
+    j.dequeueTail();
+    j.dequeue();
+    j.insertAt(2, 2.5);
+    j.removeAt(4);
+    j.set(-1, 40);
+    assert(j.toArray().join() === "10,1,2.5,2,40");
+    assert(fs.readFileSync(path, "utf8").split("\n").length < 7);
+
+    // an unfinished entry at the end of the journal is ignored
+    fs.appendFileSync(path, '["push",0');
+    j = open();
+    assert(j.toArray().join() === "10,1,2.5,2,40");
+    j.dequeueMany(2);
+    j.clear();
+    j.enqueue(7);
+    j.close();
+    j = open();
+    assert(j.toArray().join() === "7" && !j.closed);
+    j.dequeue();
+    assert(j.closed);
+    fs.unlinkSync(path);
+
+    // reserved items are delivered again after a restart, unless they were acked
+    j = open();
+    j.enqueueMany([1, 2, 3, 4]);
+    let [r1, r2] = [j.reserve(), j.reserve(), j.reserve()];
+    j.ack(r2.receipt);
+    j.nack(r1.receipt);
+    assert(j.toArray().join() === "1,4" && j.length === 3);
+    let restored = Spique.restore(j.snapshot());
+    assert(restored.toArray().join() === "3,1,4");
+    j = open();
+    assert(j.toArray().join() === "3,1,4" && j.reserve().deliveries === 2);
+    j.abort();
+    j = open();
+    assert(!j.length && j.closed);
+    fs.unlinkSync(path);
+
+    // journal entries must serialize to a single line of text
+    let journaled = serializer => new Spique(0, 2, { journal: path, serializer });
+    let base64 = {
+        serialize: data => Buffer.from(JSON.stringify(data)).toString("base64"),
+        deserialize: data => JSON.parse(Buffer.from(data, "base64").toString())
+    };
+    journaled(base64).enqueueMany(["a\nb", "c"]);
+    let replayed = journaled(base64);
+    assert(replayed.toArray().join() === "a\nb,c");
+    fs.unlinkSync(path);
+    let pretty = { serialize: data => JSON.stringify(data, null, 2), deserialize: JSON.parse };
+    assert.throws(() => journaled(pretty), /single line of text/);
+    assert.throws(() => journaled(serializer), /single line of text/);
+    fs.unlinkSync(path);
+
+    // entries which can't be applied are skipped, so the queue can still be opened
+    fs.writeFileSync(path, '["push",0,1]\n["shift",0]\n["shift",0]\n["push",0,2]\n');
+    j = open();
+    assert(j.toArray().join() === "2");
+    j.enqueue(3);
+    j = open();
+    assert(j.toArray().join() === "2,3");
+    fs.unlinkSync(path);
+    let evicting = () => new Spique(1, 4, { overflow: "evict", journal: path });
+    j = evicting();
+    j.enqueue(1);
+    j.reserve();
+    j.enqueue(2);
+    j = evicting();
+    assert(j.toArray().join() === "1");
+    fs.unlinkSync(path);
+}
+
+// expiry & delayed items
+{
+    let clock = fakeClock();
+
+    let s = new Spique(5, 2, { clock });
+    let expired = [];
+    s.on("expire", (value, queue) => expired.push(value) && assert(queue === s));
+    s.enqueue(1, { ttl: 10 });
+    s.enqueue(2);
+    s.enqueue(3, { ttl: 20 });
+    s.enqueue(4, { ttl: 10 });
+    assert(s.peek() === 1 && s.at(2) === 3 && s.toArray().join() === "1,2,3,4");
+    clock.time = 10;
+    assert([...s.values()].join() === "2,3" && [...s.entries()].join("|") === "1,2|2,3");
+    assert(s.peek() === 2 && s.length === 2 && expired.join() === "1,4");
+    clock.advance(10);
+    assert(s.length === 1 && expired.join() === "1,4,3");
+    assert(s.dequeue() === 2);
+    s.enqueue(5, { ttl: 5 });
+    clock.time += 5;
+    assert.throws(() => s.dequeue(), /Queue is empty/);
+    assert(expired.join() === "1,4,3,5" && s.length === 0);
+
+    // delayed items count against the size, and are added once they are due
+    let fired = [];
+    s.on("data", () => fired.push("data"));
+    s.on("close", () => fired.push("close"));
+    s.enqueue("a", { delay: 10 });
+    s.enqueue("b", { at: clock.time + 5 });
+    assert(s.length === 0 && s.free === 3 && !fired.length);
+    clock.advance(5);
+    assert(s.peek() === "b" && s.free === 3 && fired.join() === "data");
+    s.close();
+    assert(!s.closed);
+    s.dequeue();
+    assert(!s.closed && fired.join() === "data");
+    clock.advance(5);
+    assert(s.dequeue() === "a" && s.closed && fired.join() === "data,data,close");
+
+    // expiry times are kept by snapshots
+    let s2 = new Spique(0, 4, { clock });
+    s2.enqueue(1, { ttl: 10 });
+    s2.enqueue(2, { ttl: 20 });
+    let s3 = Spique.restore(s2.snapshot(), { clock });
+    clock.advance(10);
+    assert(s3.toArray().join() === "2");
+    assert.throws(() => new Spique(0, 4, { ringType: Int8Array }).enqueue(1, { ttl: 1 }), /expire/);
+
+    // aborting cancels delayed items
+    let s4 = new Spique(0, 4, { clock });
+    let timerCount = clock.timers.length;
+    s4.enqueue(1, { delay: 10 });
+    s4.abort();
+    assert(clock.timers.length === timerCount);
+}
+
+// worker consumers
+test(async () => {
+    let s = new Spique(4);
+    let running = 0;
+    let peak = 0;
+    let seen = [];
+    let worker = s.process(
+        async (value, attempts) => {
+            peak = Math.max(peak, ++running);
+            await tick();
+            running--;
+            seen.push(`${value}:${attempts}`);
+            if (value === 2 && attempts < 2) throw new Error("Try again");
+        },
+        { concurrency: 2, retries: 2 }
+    );
+    s.enqueueMany([1, 2, 3]);
+    assert(worker.active === 2 && s.length === 1 && s.free === 1);
+    s.close();
+    await worker.idle();
+    assert(s.closed && peak === 2);
+    assert(seen.join() === "1:0,2:0,3:0,2:1,2:2");
+
+    // final failures are reported as errors, and retries go to the chosen end of the queue
+    let s2 = new Spique();
+    let errors = [];
+    s2.on("error", (err, value) => errors.push(value));
+    let order = [];
+    let w2 = s2.process(
+        value => {
+            order.push(value);
+            if (value === 1) throw new Error("Always fails");
+        },
+        { retries: 1, requeue: "tail" }
+    );
+    w2.pause();
+    s2.enqueueMany([1, 2, 3]);
+    assert(s2.length === 3 && w2.paused);
+    w2.resume();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(order.join() === "1,2,3,1" && errors.join() === "1");
+
+    // stopping the worker leaves anything else in the queue
+    w2.stop();
+    s2.enqueue(4);
+    await w2.idle();
+    assert(s2.length === 1 && order.length === 4);
+    assert.throws(() => s2.process(() => {}, { requeue: "middle" }), /requeue policy/);
+});
+
+// reserve, ack & nack
+{
+    let clock = fakeClock();
+    let s = new Spique(3, 2, { clock, visibilityTimeout: 1000 });
+    let closed = false;
+    s.on("close", () => (closed = true));
+    s.enqueueMany(["a", "b"]);
+    let r1 = s.reserve();
+    assert(r1.value === "a" && r1.deliveries === 1);
+    assert(s.length === 2 && s.available === 1 && s.free === 1 && s.peek() === "b");
+
+    // nacked items go back to the head, and count their deliveries
+    s.nack(r1.receipt);
+    assert.throws(() => s.ack(r1.receipt), /Invalid receipt/);
+    r1 = s.reserve();
+    assert(r1.value === "a" && r1.deliveries === 2);
+    let r2 = s.reserve({ timeout: 10 });
+    assert(r2.value === "b" && s.available === 0 && s.length === 2);
+    assert.throws(() => s.reserve(), /Queue is empty/);
+
+    // the visibility timeout puts items back too
+    assert(clock.timers.length === 2);
+    clock.advance(10);
+    assert(s.available === 1 && s.peek() === "b" && clock.timers.length === 1);
+    assert(s.dequeue() === "b");
+
+    // the queue doesn't close until every reservation is finished
+    s.close();
+    assert(!s.closed && !closed);
+    s.ack(r1.receipt);
+    assert(s.closed && closed && s.length === 0 && !clock.timers.length);
+    assert.throws(() => new Spique(0, 2, { ringType: Int8Array }).reserve(), /Typed rings/);
+}
+
+// shared queues
+test(async () => {
+    const SharedSpique = require("./sharedspique.js");
+    const { Worker } = require("worker_threads");
+
+    // length-prefixed records, at both ends & across the wrap point
+    let s = new SharedSpique(40);
+    let text = record => Buffer.from(record).toString();
+    s.enqueue(Buffer.from("abc"));
+    s.enqueue(Buffer.from("defgh"));
+    assert(s.length === 2 && s.free === 40 - 24);
+    assert(text(s.dequeue()) === "abc");
+    s.enqueue(Buffer.from("ijklmnop"));
+    s.enqueueHead(new Uint8Array(0));
+    assert.throws(() => s.enqueue(Buffer.from("q")), /Queue is full/);
+    assert(text(s.peek()) === "" && text(s.peekTail()) === "ijklmnop");
+    assert(text(s.dequeueTail()) === "ijklmnop" && s.length === 2);
+    assert([...s].map(text).join() === ",defgh" && s.free === 40);
+    assert.throws(() => s.dequeue(), /Queue is empty/);
+    assert.throws(() => s.enqueue("abc"), /Invalid record/);
+
+    // fixed-width records
+    let f = new SharedSpique(12, { recordSize: 4 });
+    f.enqueue(new Uint32Array([1]));
+    f.enqueueHead(new Uint32Array([2]).buffer);
+    assert.throws(() => f.enqueue(new Uint8Array(3)), /Invalid record size/);
+    assert(new Uint32Array(f.dequeue().buffer)[0] === 2 && f.length === 1);
+    assert(new SharedSpique(f.buffer).length === 1);
+    f.close();
+    assert(!f.closed);
+    assert(new Uint32Array((await f.take()).buffer)[0] === 1);
+    assert(f.closed);
+    await assert.rejects(f.take(), /Queue is closed/);
+    assert.throws(() => f.takeSync(), /Queue is closed/);
+    assert.throws(() => new SharedSpique(12).takeSync(1), /Timed out/);
+
+    // several producer & consumer threads
+    let q = new SharedSpique(64, { recordSize: 4 });
+    let run = (code, workerData) =>
+        new Promise((resolve, reject) => {
+            let worker = new Worker(
+                `const { workerData, parentPort } = require("worker_threads");
+                const SharedSpique = require(${JSON.stringify(`${__dirname}/sharedspique.js`)});
+                const q = new SharedSpique(workerData.buffer);
+                ${code}`,
+                { eval: true, workerData: Object.assign({ buffer: q.buffer }, workerData) }
+            );
+            worker.on("message", resolve);
+            worker.on("error", reject);
+        });
+    let producer = `
+        for (let i = 1; i <= 200; i++) {
+            for (;;) {
+                try {
+                    q.enqueue(new Uint32Array([workerData.base + i]));
+                    break;
+                } catch (err) {
+                    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 1);
+                }
+            }
+        }
+        parentPort.postMessage(true);`;
+    let consumer = `
+        let sum = 0;
+        try {
+            for (;;) sum += new Uint32Array(q.takeSync().buffer)[0];
+        } catch (err) {
+            if (!q.closed) throw err;
+        }
+        parentPort.postMessage(sum);`;
+    let consumed = run(consumer);
+    let local = (async () => {
+        let sum = 0;
+        for await (let record of q) sum += new Uint32Array(record.buffer)[0];
+        return sum;
+    })();
+    await Promise.all([run(producer, { base: 0 }), run(producer, { base: 1000 })]);
+    q.close();
+    let total = (await consumed) + (await local);
+    assert(total === 2 * 20100 + 200 * 1000);
+});
+
+// windows
+{
+    let clock = fakeClock();
+    let windows = queue =>
+        queue
+            .drain()
+            .map(w => [].concat(w).join())
+            .join("|");
+
+    // tumbling batches by count & time
+    let s = new Spique(5, 4, { clock });
+    s.transform(n => n * 10);
+    s.batch(3, { maxWait: 100 });
+    assert.throws(() => s.batch(2), /already has a window/);
+    s.enqueueMany([1, 2, 3, 4]);
+    assert(s.length === 1 && s.free === 3 && clock.timers.length === 1);
+    assert(s.peek().join() === "10,20,30");
+    clock.fire();
+    assert(s.length === 2 && s.free === 3 && s.dequeueTail().join() === "40");
+    s.enqueue(5);
+    s.enqueue(6, false, false);
+    s.close();
+    assert(windows(s) === "10,20,30|6|50");
+    assert(s.closed && !clock.timers.length);
+
+    // sliding windows
+    let s2 = new Spique();
+    s2.slidingWindow(3, 2);
+    s2.enqueueMany([1, 2, 3, 4, 5, 6]);
+    assert(windows(s2) === "1,2,3|3,4,5");
+    s2.close();
+    assert(s2.dequeue().join() === "4,5,6" && s2.closed);
+    assert.throws(() => new Spique().slidingWindow(0), /Invalid window size/);
+
+    // windows must fit in a bounded queue
+    assert.throws(() => new Spique(2).batch(3), /larger than the queue/);
+    assert.throws(() => new Spique(2).batch(), /larger than the queue/);
+    assert.throws(() => new Spique(2).slidingWindow(3, 3), /larger than the queue/);
+    assert.throws(() => new Spique(2).slidingWindow(3, 1), /larger than the queue/);
+    assert.throws(() => new Spique(2).groupBy(w => w[0], { count: 2 }), /larger than the queue/);
+    let s4 = new Spique(2);
+    s4.batch(2);
+    assert.throws(() => s4.resize(1), /larger than the queue/);
+    s4.enqueueMany([1, 2]);
+    assert(s4.length === 1 && s4.dequeue().join() === "1,2");
+
+    // storing a window gives up the slots its values held, so sources carry on
+    let s5 = new Spique(3, 4, { clock });
+    s5.batch(3, { maxWait: 5 });
+    s5.enqueue([0, 1, 2, 3, 4, 5, 6, 7, 8, 9], true);
+    assert(s5.length === 1 && !s5.free);
+    clock.fire();
+    assert(s5.length === 2 && !s5.free);
+    assert(windows(s5) === "0,1,2|3,4");
+    clock.fire();
+    assert(windows(s5) === "5,6,7|8,9" && !clock.timers.length);
+
+    // keyed batches on a bounded queue are stored after maxWait, even if they can't fill up
+    let s6 = new Spique(2, 4, { clock });
+    s6.groupBy(word => word[0], { count: 2, maxWait: 5 });
+    s6.enqueue(["a1", "b1", "a2", "b2"], true);
+    assert(!s6.length && !s6.free);
+    clock.fire();
+    clock.fire();
+    assert(windows(s6) === "a1|b1");
+    clock.fire();
+    clock.fire();
+    assert(windows(s6) === "a2|b2" && !clock.timers.length);
+
+    // keyed batches
+    let s3 = new Spique(0, 4, { clock });
+    s3.groupBy(word => word[0], { count: 2, maxWait: 50 });
+    for (let word of ["apple", "banana", "avocado", "cherry", "blueberry"]) s3.enqueue(word);
+    assert(windows(s3) === "apple,avocado|banana,blueberry");
+    clock.fire();
+    assert(s3.dequeue().join() === "cherry");
+    s3.enqueue("date");
+    s3.abort();
+    assert(!clock.timers.length);
+}
+
+// combinators
+test(async () => {
+    const stream = require("stream");
+    let collect = async queue => {
+        let result = [];
+        for await (let value of queue) result.push(value);
+        return result;
+    };
+
+    // merged queues stay open until every source has closed
+    let a = new Spique();
+    let b = new Spique();
+    let m = Spique.merge(a, [1, 2], { size: 10 });
+    assert(m.size === 10);
+    a.enqueue("a");
+    a.close();
+    await tick();
+    assert(!m.closed && m.length === 3);
+    let merged = Spique.merge(m, b);
+    b.enqueue("b");
+    b.close();
+    assert((await collect(merged)).sort().join() === "1,2,a,b");
+
+    // concatenated sources are read one at a time, in order
+    let c = new Spique();
+    let concatenated = Spique.concat(
+        c,
+        [3, 4],
+        (function*() {
+            yield 5;
+        })()
+    );
+    c.enqueue(1);
+    c.enqueue(2);
+    assert(c.length === 0);
+    setTimeout(() => c.close(), 5);
+    assert((await collect(concatenated)).join() === "1,2,3,4,5");
+
+    // zipped sources stop at the shortest one
+    let z = Spique.zip([1, 2, 3], Spique.from(["a", "b"]), stream.Readable.from(["x", "y"]));
+    assert((await collect(z)).map(tuple => tuple.join("")).join() === "1ax,2by");
+
+    // round robin skips sources once they have finished
+    let r = Spique.roundRobin(
+        [1, 2, 3],
+        ["a"],
+        (async function*() {
+            yield "x";
+            yield "y";
+        })()
+    );
+    assert((await collect(r)).join() === "1,a,x,2,y,3");
+
+    // empty combinators close straight away, & aborts are passed on
+    assert(Spique.merge().closed && Spique.concat().closed);
+    let d = new Spique();
+    let zipped = Spique.zip(d, [1, 2]);
+    d.abort(new Error("upstream"));
+    await assert.rejects(zipped.take(), /upstream/);
+});
+
+// keyed queues
+{
+    let job = (id, n) => ({ id, n });
+    let jobs = queue =>
+        queue
+            .toArray()
+            .map(j => j.id + j.n)
+            .join();
+
+    // replace pending values in place
+    let s = new Spique(3, 2, { key: j => j.id });
+    s.enqueueMany([job("a", 1), job("b", 1), job("a", 2)]);
+    assert(jobs(s) === "a2,b1" && s.free === 1);
+    s.enqueue(job("c", 1));
+    s.enqueue(job("b", 2));
+    assert(jobs(s) === "a2,b2,c1" && !s.free);
+    assert(s.has("b") && s.getByKey("b").n === 2 && s.getByKey("x") === undefined);
+    assert(s.dequeue().id === "a" && !s.has("a"));
+    assert(s.dequeueTail().id === "c" && !s.has("c"));
+    assert(s.deleteByKey("b") && !s.deleteByKey("b") && !s.length);
+
+    // ignore duplicates, or move them to the end they are added to
+    let s2 = new Spique(0, 2, { key: j => j.id, duplicates: "ignore" });
+    s2.enqueueMany([job("a", 1), job("b", 1), job("a", 2)]);
+    assert(jobs(s2) === "a1,b1");
+    let s3 = new Spique(0, 2, { key: j => j.id, duplicates: "move" });
+    s3.enqueueMany([job("a", 1), job("b", 1), job("c", 1), job("a", 2)]);
+    s3.enqueueHead(job("c", 2));
+    assert(jobs(s3) === "c2,b1,a2");
+    assert(s3.deleteByKey("b") && jobs(s3) === "c2,a2");
+    s3.drain();
+    assert(!s3.has("a") && !s3.has("c"));
+
+    // only values with a new key need space in a batch
+    let s5 = new Spique(2, 4, { key: x => x });
+    assert(s5.enqueueMany([1, 1, 1]) === 3 && s5.free === 1);
+    assert(s5.enqueueMany([1, 2, 2]) === 3 && s5.toArray().join() === "1,2");
+    assert.throws(() => s5.enqueueMany([2, 3]), /Queue is full/);
+    let s6 = new Spique(2, 4, { key: x => x, duplicates: "ignore" });
+    assert(s6.enqueueMany([1, 1, 2]) === 2 && s6.toArray().join() === "1,2");
+
+    // the index follows items which bypass deduplication
+    let s4 = new Spique(0, 2, { key: n => n % 10 });
+    s4.pushMany([1, 2, 11]);
+    assert(s4.getByKey(1) === 11);
+    s4.removeAt(2);
+    assert(s4.getByKey(1) === 1);
+    s4.set(0, 3);
+    assert(!s4.has(1) && s4.getByKey(3) === 3);
+    assert.throws(() => new Spique(0, 2, { key: "id" }), /Invalid key function/);
+    assert.throws(() => new Spique(0, 2, { duplicates: "keep" }), /Invalid duplicate policy/);
+}
+
+// rate limits
+test(async () => {
+    let clock = fakeClock();
+
+    // takers wait for tokens, while producers still see the usual backpressure
+    let s = new Spique(3, 2, { clock });
+    s.rateLimit(2, { interval: 100 });
+    s.enqueueMany([1, 2, 3]);
+    let taken = [];
+    for (let i = 0; i < 3; i++) s.take().then(value => taken.push(value));
+    await tick();
+    assert(taken.join() === "1,2" && s.length === 1 && s.free === 2);
+    assert(clock.timers.length === 1 && clock.timers[0].ms === 50);
+    clock.advance(50);
+    await tick();
+    assert(taken.join() === "1,2,3");
+
+    // chained queues & workers only pull as tokens allow, and costly items leave the
+    // bucket in debt
+    let s2 = new Spique(0, 2, { clock });
+    s2.rateLimit(1, { interval: 10, burst: 2, cost: n => n });
+    s2.enqueueMany([1, 5, 1]);
+    let s3 = new Spique();
+    s3.enqueue(s2, true);
+    await tick();
+    assert(s3.drain().join() === "1" && s2.length === 2);
+    clock.advance(10);
+    await tick();
+    assert(s3.drain().join() === "5");
+    clock.advance(30);
+    await tick();
+    assert(s3.drain().join() === "" && s2.length === 1);
+    clock.advance(10);
+    await tick();
+    assert(s3.drain().join() === "1");
+    assert.throws(() => s2.rateLimit(0), /Invalid rate limit/);
+
+    // takers which are waiting carry on under a new limit
+    let s5 = new Spique(0, 2, { clock });
+    s5.rateLimit(1, { interval: 200 });
+    s5.enqueueMany([1, 2]);
+    let next = [s5.take(), s5.take()];
+    assert((await next[0]) === 1);
+    s5.rateLimit(1000, { interval: 1 });
+    clock.advance(1);
+    assert((await next[1]) === 2 && clock.timers.length === 0);
+
+    // the async iterator is limited too
+    let s4 = new Spique(0, 2, { clock });
+    s4.rateLimit(1, { interval: 10, burst: 1 });
+    s4.enqueueMany([1, 2]);
+    s4.close();
+    let seen = [];
+    let done = (async () => {
+        for await (let value of s4) seen.push(value);
+    })();
+    await tick();
+    assert(seen.join() === "1");
+    clock.advance(10);
+    await done;
+    assert(seen.join() === "1,2");
+});
+
+// watermarks
+test(async () => {
+    let events = [];
+    let s = new Spique(0, 2, { highWaterMark: 4, lowWaterMark: 1 });
+    s.on("high", () => events.push("high"));
+    s.on("low", () => events.push("low"));
+    assert(events.join() === "low");
+
+    // sources fill unbounded queues up to the high watermark, and wait for the low one
+    s.enqueue(
+        (function*() {
+            for (let i = 0; i < 10; i++) yield i;
+        })(),
+        true
+    );
+    await tick();
+    assert(s.length === 4 && events.join() === "low,high");
+    s.dequeue();
+    s.dequeue();
+    await tick();
+    assert(s.length === 2 && events.join() === "low,high");
+    s.dequeue();
+    await tick();
+    assert(s.length === 4 && events.join() === "low,high,low,high");
+    assert(s.toArray().join() === "3,4,5,6");
+
+    // other producers aren't held back
+    s.enqueue("x");
+    assert(s.length === 5);
+    let called = false;
+    s.on("high", () => (called = true));
+    assert(called);
+    assert.throws(() => new Spique(0, 2, { highWaterMark: 4, lowWaterMark: 4 }), /Invalid/);
+    assert.throws(() => new Spique(0, 2, { lowWaterMark: 4 }), /Invalid watermarks/);
+});
+
+// pause & resume
+test(async () => {
+    let s = new Spique(3, 2);
+    let events = [];
+    s.on("free", () => events.push("free"));
+    s.pause();
+    assert(s.paused && !s.closed);
+
+    // producers & sources keep filling the queue, but nothing is released
+    let downstream = new Spique();
+    downstream.enqueue(s, true);
+    s.enqueue(1);
+    s.enqueue([2, 3, 4], true);
+    let data = 0;
+    s.on("data", () => data++);
+    await tick();
+    assert(s.length === 3 && !s.free && !downstream.length && !data);
+
+    // resuming releases everything again
+    events = [];
+    s.resume();
+    assert(!s.paused && data === 1 && events.includes("free"));
+    await tick();
+    assert(downstream.drain().join() === "1,2,3,4" && !s.length);
+
+    // takers wait until the queue is resumed
+    let s2 = new Spique();
+    s2.pause();
+    let taken = s2.take();
+    s2.enqueue("x");
+    await tick();
+    assert(s2.length === 1);
+    s2.resume();
+    assert((await taken) === "x" && !s2.length);
+});
+
+// stats
+{
+    let clock = fakeClock();
+    assert.throws(() => new Spique().stats(), /Stats are not enabled/);
+
+    // totals, drops, rejects & time spent full
+    let s = new Spique(2, 1, { clock, stats: true, overflow: "discard" });
+    s.transform((n, reject) => (n < 0 ? reject() : n));
+    s.enqueue(1);
+    s.enqueueHead(2);
+    s.enqueue(3);
+    s.enqueue(-1);
+    clock.time = 5;
+    assert(s.dequeue() === 2);
+    clock.time = 20;
+    assert(s.dequeueTail() === 1);
+    s.enqueueMany([4, 5]);
+    clock.time = 25;
+    assert(s.drain().join() === "4,5");
+    let stats = s.stats();
+    assert(stats.enqueued.head === 1 && stats.enqueued.tail === 3);
+    assert(stats.dequeued.head === 3 && stats.dequeued.tail === 1);
+    assert(stats.dropped === 1 && stats.rejected === 1);
+    assert(stats.peakLength === 2 && stats.peakRings === 2 && stats.length === 0);
+    assert(stats.fullTime === 10);
+
+    // latency histogram
+    assert(stats.latency.count === 4 && stats.latency.sum === 35 && stats.latency.max === 20);
+    let bucket = ms => stats.latency.counts[stats.latency.buckets.indexOf(ms)];
+    assert(bucket(5) === 3 && bucket(20) === 1 && stats.latency.counts.length === 16);
+
+    // periodic metrics
+    let reports = [];
+    let s2 = new Spique(0, 4, { clock, metricsInterval: 1000 });
+    s2.on("metrics", stats => reports.push(stats.enqueued.tail));
+    s2.enqueue(1);
+    clock.fire();
+    s2.pushMany([2, 3]);
+    clock.fire();
+    assert(reports.join() === "1,3" && clock.timers.length === 1);
+}
+
+// fail if any async test rejects, or never finishes
+let finished = false;
+Promise.all(tests).then(
+    () => (finished = true),
+    err => {
+        console.error(err);
+        process.exit(1);
+    }
+);
+process.on("exit", () => {
+    if (!finished) {
+        console.error("Async tests did not finish");
+        process.exit(1);
+    }
+});